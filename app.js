@@ -1,30 +1,64 @@
 // Stellar Life Simulator
 // Simplified educational model with adjustable mass, time scaling, and optional binary mass transfer.
+// UI layer: the physics lives in simulation.js; this file renders it and wires the controls.
+
+import {
+  MYR, YEAR_S, MIN_MASS, MAX_MASS, Z_SUN, POPULATIONS, END_STATES, fateZones, mainSequenceStage, populationForZ,
+  TRANSFER_MODES, KICK_DISTRIBUTIONS, STAGE_KEYS, clamp, currentRadiusRsun, isFormed, ejectaState, equatorialVelocityKms, isActivePulsar, lagrangeL1DistanceAU, eddingtonLuminosityLsun, orbitalPeriodYears, planetConditions, prettyYears, radiusRsun, relativeOrbitPosition, remnantRadiusRsun, rotationPeriodSeconds, starParams, stellarRadiusAU, remnantForStar, rocheLobeRadiusAU, Simulation,
+} from './simulation.js';
+import { createHRDiagram } from './hrDiagram.js';
+import { createCharts, stageColor } from './charts.js';
+import { createChirpPlot } from './chirp.js';
+import { createPPdotDiagram } from './ppdot.js';
+import { colorIndexBV, createSpectrumPanel, spectralType } from './spectrum.js';
+import { angularSeparationArcsec, combinedMagnitude, createSkyView, distanceModulus, instrumentFor, observedStars, resolvingInstrument } from './observer.js';
+import { rocheGeometry } from './roche.js';
+import { SCENARIO_FORMAT, SCENARIO_VERSION, parseScenarioJSON, scenarioFromHash, scenarioToHash, scenarioToJSON, validateScenario } from './scenario.js';
+import { createHistory } from './history.js';
+import { BUILT_IN_PRESETS, cleanPresetText, groupPresets, loadUserPresets, makeUserPreset, presetScenario, saveUserPresets } from './presets.js';
 
 (() => {
-  // Units and constants
-  const YEAR = 1; // abstract year unit
-  const MYR = 1e6 * YEAR; // million years
-  const GYR = 1e9 * YEAR; // billion years
-
-  // Fate thresholds (rough educational values)
-  const WD_MAX = 8; // M_sun upper bound to end as white dwarf
-  const NS_MAX = 20; // 8-20 neutron star
-  // >= 20 black hole
+  const MAX_FORMATION_MYR = 10000; // upper limit of the formation delay inputs (the scenario range)
 
   // UI elements
   const els = {
     massPrimary: document.getElementById('massPrimary'),
     massPrimaryInput: document.getElementById('massPrimaryInput'),
+    metallicity: document.getElementById('metallicity'),
+    metallicityInput: document.getElementById('metallicityInput'),
+    populationLabel: document.getElementById('populationLabel'),
     massSecondary: document.getElementById('massSecondary'),
     massSecondaryInput: document.getElementById('massSecondaryInput'),
+    formationPrimary: document.getElementById('formationPrimary'),
+    formationSecondary: document.getElementById('formationSecondary'),
     separation: document.getElementById('separation'),
     separationInput: document.getElementById('separationInput'),
+    eccentricity: document.getElementById('eccentricity'),
+    eccentricityInput: document.getElementById('eccentricityInput'),
+    inclination: document.getElementById('inclination'),
+    inclinationLabel: document.getElementById('inclinationLabel'),
+    orbitAnimate: document.getElementById('orbitAnimate'),
+    rocheContours: document.getElementById('rocheContours'),
+    orbitSeconds: document.getElementById('orbitSeconds'),
+    orbitSecondsLabel: document.getElementById('orbitSecondsLabel'),
     transferRate: document.getElementById('transferRate'),
     transferRateInput: document.getElementById('transferRateInput'),
+    transferMode: document.getElementById('transferMode'),
+    lossFraction: document.getElementById('lossFraction'),
+    lossFractionInput: document.getElementById('lossFractionInput'),
+    lossFractionControl: document.getElementById('lossFractionControl'),
+    ceAlpha: document.getElementById('ceAlpha'),
+    ceLambda: document.getElementById('ceLambda'),
+    kickDistribution: document.getElementById('kickDistribution'),
+    kickSigma: document.getElementById('kickSigma'),
+    kickSeed: document.getElementById('kickSeed'),
+    eccentricityNowLabel: document.getElementById('eccentricityNowLabel'),
+    separationNowLabel: document.getElementById('separationNowLabel'),
+    periodLabel: document.getElementById('periodLabel'),
     binaryToggle: document.getElementById('binaryToggle'),
     binaryControls: document.getElementById('binaryControls'),
     playPause: document.getElementById('playPause'),
+    reverse: document.getElementById('reverse'),
     reset: document.getElementById('reset'),
     speed: document.getElementById('speed'),
     speedLabel: document.getElementById('speedLabel'),
@@ -34,34 +68,101 @@
     progressBar: document.getElementById('progressBar'),
     starCanvas: document.getElementById('starCanvas'),
     stagePrimary: document.getElementById('stagePrimary'),
+    agePrimary: document.getElementById('agePrimary'),
     massPrimaryOut: document.getElementById('massPrimaryOut'),
     luminosityPrimary: document.getElementById('luminosityPrimary'),
     radiusPrimary: document.getElementById('radiusPrimary'),
     tempPrimary: document.getElementById('tempPrimary'),
+    spectralPrimary: document.getElementById('spectralPrimary'),
+    colorIndexPrimary: document.getElementById('colorIndexPrimary'),
+    rotationPrimary: document.getElementById('rotationPrimary'),
+    corePrimary: document.getElementById('corePrimary'),
+    accretionPrimary: document.getElementById('accretionPrimary'),
+    accretionLumPrimary: document.getElementById('accretionLumPrimary'),
     fatePrimary: document.getElementById('fatePrimary'),
     stageSecondary: document.getElementById('stageSecondary'),
+    ageSecondary: document.getElementById('ageSecondary'),
     massSecondaryOut: document.getElementById('massSecondaryOut'),
     luminositySecondary: document.getElementById('luminositySecondary'),
     radiusSecondary: document.getElementById('radiusSecondary'),
     tempSecondary: document.getElementById('tempSecondary'),
+    spectralSecondary: document.getElementById('spectralSecondary'),
+    colorIndexSecondary: document.getElementById('colorIndexSecondary'),
+    rotationSecondary: document.getElementById('rotationSecondary'),
+    coreSecondary: document.getElementById('coreSecondary'),
+    accretionSecondary: document.getElementById('accretionSecondary'),
+    accretionLumSecondary: document.getElementById('accretionLumSecondary'),
     fateSecondary: document.getElementById('fateSecondary'),
     secondaryCard: document.getElementById('secondaryCard'),
+    ejectaCard: document.getElementById('ejectaCard'),
+    ejectaTitle: document.getElementById('ejectaTitle'),
+    ejectaAge: document.getElementById('ejectaAge'),
+    ejectaRadius: document.getElementById('ejectaRadius'),
+    ejectaSpeed: document.getElementById('ejectaSpeed'),
+    ejectaTemp: document.getElementById('ejectaTemp'),
+    ejectaPhase: document.getElementById('ejectaPhase'),
+    ejectaMass: document.getElementById('ejectaMass'),
     timelinePrimary: document.getElementById('timelinePrimary'),
     timelineSecondary: document.getElementById('timelineSecondary'),
+    timelineAxis: document.getElementById('timelineAxis'),
+    timelineZoomIn: document.getElementById('timelineZoomIn'),
+    timelineZoomOut: document.getElementById('timelineZoomOut'),
+    timelineZoomFit: document.getElementById('timelineZoomFit'),
     massScale: document.getElementById('massScale'),
+    hrCanvas: document.getElementById('hrCanvas'),
+    chartsCanvas: document.getElementById('chartsCanvas'),
+    chartsLog: document.getElementById('chartsLog'),
+    gwCanvas: document.getElementById('gwCanvas'),
+    ppdotCanvas: document.getElementById('ppdotCanvas'),
+    spectrumCanvas: document.getElementById('spectrumCanvas'),
+    spectrumCombined: document.getElementById('spectrumCombined'),
+    distancePc: document.getElementById('distancePc'),
+    extinction: document.getElementById('extinction'),
+    skyCanvas: document.getElementById('skyCanvas'),
+    apparentMag: document.getElementById('apparentMag'),
+    absoluteMag: document.getElementById('absoluteMag'),
+    distanceModulus: document.getElementById('distanceModulus'),
+    visibility: document.getElementById('visibility'),
+    angularSeparation: document.getElementById('angularSeparation'),
+    gwMergerLabel: document.getElementById('gwMergerLabel'),
+    planetName: document.getElementById('planetName'),
+    planetHost: document.getElementById('planetHost'),
+    planetOrbit: document.getElementById('planetOrbit'),
+    addPlanet: document.getElementById('addPlanet'),
+    showHabitableZone: document.getElementById('showHabitableZone'),
+    planetList: document.getElementById('planetList'),
+    exportScenario: document.getElementById('exportScenario'),
+    importScenario: document.getElementById('importScenario'),
+    shareScenario: document.getElementById('shareScenario'),
+    scenarioFile: document.getElementById('scenarioFile'),
+    scenarioStatus: document.getElementById('scenarioStatus'),
+    presetMenuButton: document.getElementById('presetMenuButton'),
+    presetMenu: document.getElementById('presetMenu'),
+    presetList: document.getElementById('presetList'),
+    presetSaveForm: document.getElementById('presetSaveForm'),
+    presetName: document.getElementById('presetName'),
+    presetCategory: document.getElementById('presetCategory'),
+    presetCategories: document.getElementById('presetCategories'),
+    presetStatus: document.getElementById('presetStatus'),
   };
 
-  // State
+  // Physics state (stars, binary parameters, age)
+  const sim = new Simulation({
+    massPrimary: 1.0,
+    massSecondary: 0.8,
+    separationAU: 0.5,
+    transferRatePerYear: 0.01 / MYR, // convert from M_sun per Myr to per year
+  });
+
+  // Snapshots of the run, for rewinding and scrubbing to the state the system really had
+  const runHistory = createHistory({ sim });
+
+  // UI state
   const state = {
     running: false,
-    t: 0, // age in years
+    direction: 1, // 1 plays forward, -1 in reverse
+    rewind: null, // { ageYears, shownAge } reverse-playback playhead and the recorded age shown for it
     speed: 10, // arbitrary time multiplier (when autoScale disabled)
-    star1: makeStar(1.0),
-    star2: makeStar(0.8),
-    binary: false,
-    separationAU: 0.5,
-    transferRatePerYear: 0.01 / MYR, // convert from M_sun per Myr to per year
-    presetsBound: false,
     // Camera and rendering state
     camera: {
       zoom: 1,
@@ -71,15 +172,143 @@
       panStartX: 0,
       panStartY: 0,
       didDrag: false,
+      follow: null, // 'primary' | 'secondary' keeps that star centred as it moves
+    },
+    // Orbital animation runs on wall-clock time, independent of the evolutionary clock
+    orbit: {
+      meanAnomaly: 0, // radians
+      secondsPerOrbit: 6,
+      inclinationDeg: 60, // 0 = face-on, 90 = edge-on
+      flyApart: null, // { x1, y1, x2, y2, vx1, vy1, vx2, vy2 } once the binary is unbound (world units, per second)
     },
     bgStars: [],
-    explosions: [], // active supernova explosions in world space
+    explosions: [], // active supernova, envelope-ejection and merger effects in world space
+    timelineEvents: [], // { star, age, t, kind, label } markers for binary interactions (t: simulation age)
+    timelineView: null, // { from, to } system ages shown when the timelines are zoomed in; null shows the whole lifetime
+    selectedEjecta: null, // nebula or remnant whose readout card is shown
+    observer: { distancePc: 10, extinctionMag: 0 }, // where the system is seen from
+    batching: false, // steps come in a batch (a frame's physics ticks, a scrub or a loaded scenario); redraw once at the end
+    defaultScenario: null, // controls at start-up: what built-in presets are laid over
+    userPresets: [],
   };
 
-  // Utility: clamp and format (use function declarations so they are hoisted)
-  function clamp(v, min, max) {
-    return Math.max(min, Math.min(max, v));
+  // Per-star visual end-state animation, kept out of the physics objects
+  const visuals = new WeakMap();
+  function visualFor(star) {
+    let vis = visuals.get(star);
+    if (!vis) {
+      vis = {
+        collapseAnimating: false,
+        collapseProgress: 0,
+        // Supernova
+        justEnded: false,
+        hadSupernova: false,
+        // Accretion-powered explosions waiting for a world position in the draw pass
+        pendingNova: false,
+        pendingTypeIa: false,
+      };
+      visuals.set(star, vis);
+    }
+    return vis;
+  }
+
+  // HR diagram records its tracks from simulation steps (panels subscribe before the redraw below)
+  const hr = createHRDiagram({
+    canvas: els.hrCanvas,
+    sim,
+    onScrub: (age) => setSimulationAge(age),
+  });
+
+  // Property charts record one sample per simulation step
+  const charts = createCharts({
+    canvas: els.chartsCanvas,
+    sim,
+    logToggle: els.chartsLog,
+  });
+
+  // Gravitational-wave chirp for neutron-star / black-hole pairs
+  const chirp = createChirpPlot({ canvas: els.gwCanvas, sim });
+
+  // Neutron-star spin on the P–Ṗ diagram
+  const ppdot = createPPdotDiagram({ canvas: els.ppdotCanvas, sim });
+
+  // Blackbody spectra of the shining stars
+  const spectrum = createSpectrumPanel({ canvas: els.spectrumCanvas, sim, combinedToggle: els.spectrumCombined });
+
+  // The system on the sky at the observer's distance
+  const sky = createSkyView({ canvas: els.skyCanvas, sim, observer: state.observer, colorForTemp });
+
+  // React to simulation events: start end-state animations and redraw after each step
+  sim.subscribe((event) => {
+    if (event.type === 'star-ended') {
+      const vis = visualFor(event.star);
+      vis.collapseAnimating = true;
+      vis.collapseProgress = 0;
+      vis.justEnded = true; // used to spawn supernova with world position in draw pass
+      if (event.escapeSpeedKms) {
+        const label = `Pair-instability supernova leaves nothing: the companion flies off at ${Math.round(event.escapeSpeedKms)} km/s`;
+        markTimeline(sim.star1, 'kick', label);
+        markTimeline(sim.star2, 'kick', label);
+        startFlyApart(event.escapeSpeedKms);
+      }
+    } else if (event.type === 'common-envelope') {
+      // The envelope engulfs both stars, so the effect is centred on the barycenter
+      startEnvelopeEjection(0, 0, event.outcome === 'merger');
+      if (event.outcome === 'post-ce') {
+        const label = `Common envelope ejected (${fmt(event.ejectaMass, 2)} M☉), a → ${fmt(event.separationAfter, 4)} AU`;
+        markTimeline(event.donor, 'ce', label);
+        markTimeline(event.accretor, 'ce', label);
+      }
+    } else if (event.type === 'merger') {
+      startMergerFlash(0, 0);
+      const label = `Merger → ${fmt(event.star.massCurrent, 2)} M☉ star`;
+      markTimeline(event.absorbed, 'merger', label);
+      markTimeline(event.star, 'merger', label);
+    } else if (event.type === 'nova') {
+      visualFor(event.star).pendingNova = true;
+    } else if (event.type === 'type-ia') {
+      visualFor(event.star).pendingTypeIa = true;
+      markTimeline(event.star, 'ia', `Type Ia supernova (${fmt(event.ejectaMass, 2)} M☉ ejected)`);
+      startFlyApart(event.escapeSpeedKms);
+    } else if (event.type === 'kick') {
+      const label = event.bound
+        ? `Natal kick ${Math.round(event.kickKms)} km/s: a → ${fmt(event.separationAfter, 3)} AU, e = ${fmt(event.eccentricity, 2)}`
+        : `Natal kick ${Math.round(event.kickKms)} km/s unbinds the binary (${Math.round(event.escapeSpeedKms)} km/s apart)`;
+      markTimeline(sim.star1, 'kick', label);
+      markTimeline(sim.star2, 'kick', label);
+      if (!event.bound) startFlyApart(event.escapeSpeedKms);
+    } else if (event.type === 'compact-merger') {
+      // Kilonova glow whenever a neutron star is torn apart; every merger sends out GW ripples
+      if (event.kind !== 'BH–BH') startKilonova(0, 0);
+      startGravitationalRipples(0, 0);
+      const label = `${event.kind} merger → ${fmt(event.remnantMass, 2)} M☉ ${event.star.fate.toLowerCase()}`;
+      markTimeline(event.absorbed, 'gw', label);
+      markTimeline(event.star, 'gw', label);
+    } else if (event.type === 'planet-engulfed' || event.type === 'planet-ejected') {
+      const label = event.type === 'planet-engulfed'
+        ? `${event.planet.name} engulfed at ${fmt(event.planet.orbitAU, 2)} AU`
+        : `${event.planet.name} unbound by the supernova`;
+      markTimeline(event.star, 'planet', label);
+    } else if (event.type === 'reset') {
+      state.timelineEvents = [];
+      state.timelineView = null;
+      state.orbit.flyApart = null;
+      state.selectedEjecta = null;
+    } else if (event.type === 'restore') {
+      // Back to a snapshot: what happened after it is replayed (or not) from here
+      state.timelineEvents = state.timelineEvents.filter(e => e.t <= event.ageYears);
+      if (!sim.unbound) state.orbit.flyApart = null;
+      state.selectedEjecta = null;
+    } else if (event.type === 'step') {
+      if (!state.batching) updateUI();
+    }
+  });
+
+  function markTimeline(star, kind, label) {
+    state.timelineEvents.push({ star, age: star.age, t: sim.t, kind, label });
   }
+
+  // Utility: format (use function declarations so they are hoisted)
   function fmt(v, digits = 2) {
     return Number.isFinite(v) ? v.toFixed(digits) : '—';
   }
@@ -89,141 +318,6 @@
   const easeInOut = (t) => 0.5 * (1 - Math.cos(Math.PI * clamp(t, 0, 1)));
   const easeOutCubic = (t) => 1 - Math.pow(1 - clamp(t, 0, 1), 3);
 
-  // Stellar relations (simplified)
-  function msLifetimeYears(mass) {
-    // t_MS ≈ 10 Gyr × M^(-2.5)
-    return 10 * GYR * Math.pow(mass, -2.5);
-  }
-
-  function luminosityLsun(mass) {
-    // L ~ M^3.5, clamp extremes for educational visuals
-    return clamp(Math.pow(mass, 3.5), 0.001, 1e6);
-  }
-
-  function radiusRsun(mass) {
-    // R ~ M^0.8 (rough)
-    return clamp(Math.pow(mass, 0.8), 0.05, 2000);
-  }
-
-  function temperatureK(l, r) {
-    // T/Tsun ≈ (L/R^2)^(1/4), Tsun ≈ 5772K
-    const ratio = Math.pow(l / Math.pow(r, 2), 0.25);
-    return clamp(5772 * ratio, 2000, 60000);
-  }
-
-  function fateForMass(mass) {
-    if (mass < WD_MAX) return 'White Dwarf';
-    if (mass < NS_MAX) return 'Neutron Star';
-    return 'Black Hole';
-  }
-
-  function makeStar(initialMass) {
-    const mass = clamp(initialMass, 0.1, 50);
-    const tMS = msLifetimeYears(mass);
-    const tProtostar = tMS * 0.01; // 1% of MS lifetime
-    const tGiant = tMS * 0.1; // post-MS phases compressed
-    const total = tProtostar + tMS + tGiant;
-    return {
-      massInitial: mass,
-      massCurrent: mass,
-      age: 0,
-      tProtostar,
-      tMS,
-      tGiant,
-      tTotal: total,
-      ended: false,
-      fate: fateForMass(mass),
-      // Visual end-state animation
-      collapseAnimating: false,
-      collapseProgress: 0,
-      // Supernova
-      justEnded: false,
-      hadSupernova: false,
-    };
-  }
-
-  function updateStarParams(star) {
-    const L = luminosityLsun(star.massCurrent);
-    const R = radiusRsun(star.massCurrent);
-    const T = temperatureK(L, R);
-    const stage = stageForStar(star);
-    return { L, R, T, stage };
-  }
-
-  function stageForStar(star) {
-    if (star.ended) return star.fate;
-    if (star.age < star.tProtostar) return 'Protostar';
-    if (star.age < star.tProtostar + star.tMS) return 'Main Sequence';
-    if (star.age < star.tTotal) return star.massInitial >= 8 ? 'Supergiant' : 'Giant';
-    return star.fate;
-  }
-
-  // Binary helpers
-  function rocheLobeRadiusAU(mDonor, mAccretor, separationAU) {
-    // Eggleton approximation: RL/a = 0.49 q^(2/3) / [0.6 q^(2/3) + ln(1+q^(1/3))], q = mDonor/mAccretor
-    const q = clamp(mDonor / mAccretor, 1e-3, 1e3);
-    const q13 = Math.cbrt(q);
-    const q23 = q13 * q13;
-    const rlOverA = 0.49 * q23 / (0.6 * q23 + Math.log(1 + q13));
-    return rlOverA * separationAU;
-  }
-
-  function stellarRadiusAU(Rsun) {
-    // 1 AU ≈ 215 R_sun
-    return Rsun / 215;
-  }
-
-  function doMassTransfer(dtYears) {
-    if (!state.binary) return;
-
-    const s1 = state.star1;
-    const s2 = state.star2;
-    const R1AU = stellarRadiusAU(radiusRsun(s1.massCurrent));
-    const R2AU = stellarRadiusAU(radiusRsun(s2.massCurrent));
-
-    const RL1 = rocheLobeRadiusAU(s1.massCurrent, s2.massCurrent, state.separationAU);
-    const RL2 = rocheLobeRadiusAU(s2.massCurrent, s1.massCurrent, state.separationAU);
-
-    const overfill1 = R1AU > RL1;
-    const overfill2 = R2AU > RL2;
-
-    const rate = state.transferRatePerYear; // M_sun per year when active
-
-    if (!s1.ended && !s2.ended) {
-      if (overfill1 && !overfill2) {
-        const dm = rate * dtYears;
-        transferMass(s1, s2, dm);
-      } else if (overfill2 && !overfill1) {
-        const dm = rate * dtYears;
-        transferMass(s2, s1, dm);
-      } else if (overfill1 && overfill2) {
-        // If both overfill, no net transfer (symmetric) — keep simple
-      }
-    }
-  }
-
-  function transferMass(donor, accretor, dm) {
-    const maxTransfer = Math.min(dm, donor.massCurrent - 0.1); // never go below 0.1 M☉
-    if (maxTransfer <= 0) return;
-    donor.massCurrent -= maxTransfer;
-    accretor.massCurrent += maxTransfer;
-
-    // Update fates on-the-fly
-    donor.fate = fateForMass(donor.massCurrent);
-    accretor.fate = fateForMass(accretor.massCurrent);
-
-    // Update lifetimes proportional to mass change (recompute total clocks but keep absolute ages)
-    const resetStarTimes = (star) => {
-      const tMS = msLifetimeYears(star.massCurrent);
-      star.tProtostar = tMS * 0.01;
-      star.tMS = tMS;
-      star.tGiant = tMS * 0.1;
-      star.tTotal = star.tProtostar + star.tMS + star.tGiant;
-    };
-    resetStarTimes(donor);
-    resetStarTimes(accretor);
-  }
-
   // Rendering: canvas star(s)
   const ctx = els.starCanvas.getContext('2d');
 
@@ -274,30 +368,145 @@
     // Background
     drawStarfield();
 
-    if (!state.binary) {
-      // Single star centered at world origin
-      drawStarAtWorld(state.star1, 0, 0, Math.min(width, height) * 0.35);
+    followCamera();
+
+    // Nebulae and remnants lie behind the stars, then habitable zones and planet orbits
+    drawEjecta();
+    const planetHosts = planetFrames();
+    drawPlanetOrbits(planetHosts);
+
+    if (!sim.isBinary) {
+      // Single star (merger product, or the one star formed so far) centered at world origin
+      drawStarAtWorld(sim.stars[0], 0, 0, Math.min(width, height) * 0.35);
+      drawPlanets(planetHosts);
       // Explosions on top
       drawExplosions();
     } else {
-      // Two-body layout, size scaled for visibility; positions based on separation
+      // Two-body layout around the barycenter, size scaled for visibility
       const rScale = Math.min(width, height) * 0.3;
-      const sepWorld = clamp(state.separationAU, 0.05, 10) / 10 * (width * 0.7); // world units
-      const x1 = -sepWorld / 2;
-      const x2 = +sepWorld / 2;
+      const pos = binaryPositionsWorld();
+
+      if (!sim.unbound) drawOrbitPaths(pos);
 
-      drawStarAtWorld(state.star1, x1, 0, rScale);
-      drawStarAtWorld(state.star2, x2, 0, rScale);
+      // Far star first so the near one overlaps it
+      const bodies = [
+        { star: sim.star1, x: pos.x1, y: pos.y1, depth: pos.depth1 },
+        { star: sim.star2, x: pos.x2, y: pos.y2, depth: pos.depth2 },
+      ].sort((a, b) => b.depth - a.depth);
+      // Gas leaving the donor through L1 passes behind the stars' glow
+      const flow = sim.massTransfer;
+      if (!sim.unbound && flow && !flow.accretor.ended) drawTransferStream(flow, pos);
 
-      // Roche lobes
-      drawRocheLobeWorld(state.star1, state.star2, x1, 0, state.separationAU, sepWorld);
-      drawRocheLobeWorld(state.star2, state.star1, x2, 0, state.separationAU, sepWorld);
+      for (const b of bodies) drawStarAtWorld(b.star, b.x, b.y, rScale);
+
+      // Mass flowing onto a remnant: gas stream from L1 and an accretion disk
+      if (!sim.unbound) {
+        if (isAccretingRemnant(sim.star1)) drawAccretionFlow(sim.star2, sim.star1, pos.x2, pos.y2, pos.x1, pos.y1, pos);
+        if (isAccretingRemnant(sim.star2)) drawAccretionFlow(sim.star1, sim.star2, pos.x1, pos.y1, pos.x2, pos.y2, pos);
+      }
+
+      // Roche geometry scales with the instantaneous separation
+      if (!sim.unbound) drawRocheGeometry(pos);
+
+      drawPlanets(planetHosts);
 
       // Explosions on top
       drawExplosions();
     }
   }
 
+  // World positions of both stars on their Keplerian orbits about the barycenter (origin).
+  // The orbit plane is tilted by the inclination, so the projected y shrinks by cos(i).
+  function binaryPositionsWorld() {
+    const { width } = els.starCanvas;
+    const fly = state.orbit.flyApart;
+    if (sim.unbound && fly) {
+      return { x1: fly.x1, y1: fly.y1, depth1: 0, x2: fly.x2, y2: fly.y2, depth2: 0 };
+    }
+    const a = sim.separationAU;
+    const pxPerAU = clamp(a, 0.05, 10) / 10 * (width * 0.7) / a; // world units per AU
+    const e = clamp(sim.eccentricity, 0, 0.95);
+    const rel = relativeOrbitPosition(state.orbit.meanAnomaly, e);
+    const incl = state.orbit.inclinationDeg * Math.PI / 180;
+    const m1 = sim.star1.massCurrent;
+    const m2 = sim.star2.massCurrent;
+    const f1 = m2 / (m1 + m2); // primary's share of the relative orbit
+    const f2 = m1 / (m1 + m2);
+    const relX = rel.x * a * pxPerAU;
+    const relY = rel.y * a * pxPerAU;
+    return {
+      pxPerAU, e, incl, f1, f2, r: rel.r, relX, relY,
+      x1: -f1 * relX, y1: -f1 * relY * Math.cos(incl), depth1: -f1 * relY * Math.sin(incl),
+      x2: f2 * relX, y2: f2 * relY * Math.cos(incl), depth2: f2 * relY * Math.sin(incl),
+    };
+  }
+
+  // Freeze the current orbital positions and send the stars apart along the line joining them,
+  // each with its momentum share of the relative speed (shown compressed on a log scale)
+  const REPLAYED_ESCAPE_KMS = 100; // nominal speed when the disruption itself was not replayed
+
+  function startFlyApart(speedKms) {
+    const pos = binaryPositionsWorld();
+    const dx = pos.x2 - pos.x1;
+    const dy = pos.y2 - pos.y1;
+    const d = Math.hypot(dx, dy) || 1;
+    const speed = 40 * Math.log10(1 + Math.max(speedKms, 10) / 10); // world units per second
+    const m1 = sim.star1.massCurrent;
+    const m2 = sim.star2.massCurrent;
+    const f1 = m2 / (m1 + m2);
+    const f2 = m1 / (m1 + m2);
+    state.orbit.flyApart = {
+      x1: pos.x1, y1: pos.y1, x2: pos.x2, y2: pos.y2,
+      vx1: -f1 * speed * dx / d, vy1: -f1 * speed * dy / d,
+      vx2: f2 * speed * dx / d, vy2: f2 * speed * dy / d,
+    };
+  }
+
+  function drawOrbitPaths(pos) {
+    const a = sim.separationAU * pos.pxPerAU;
+    const b = a * Math.sqrt(1 - pos.e * pos.e);
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+    ctx.setLineDash([2, 6]);
+    ctx.lineWidth = 1;
+    for (const [share, sign] of [[pos.f1, -1], [pos.f2, 1]]) {
+      // Ellipse centre sits a·e from the focus (the barycenter), on the periastron side
+      const [cx, cy] = worldToScreen(-sign * share * a * pos.e, 0);
+      ctx.beginPath();
+      ctx.ellipse(cx, cy, share * a * state.camera.zoom, Math.max(share * b * Math.cos(pos.incl) * state.camera.zoom, 0.5), 0, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    // Barycenter
+    const [bx, by] = worldToScreen(0, 0);
+    ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+    ctx.beginPath();
+    ctx.moveTo(bx - 4, by); ctx.lineTo(bx + 4, by);
+    ctx.moveTo(bx, by - 4); ctx.lineTo(bx, by + 4);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // World positions of the visible stars, keyed like camera.follow
+  function starPositionsWorld() {
+    if (!sim.isBinary) return [{ key: sim.stars[0] === sim.star2 ? 'secondary' : 'primary', wx: 0, wy: 0 }];
+    const pos = binaryPositionsWorld();
+    return [
+      { key: 'primary', wx: pos.x1, wy: pos.y1 },
+      { key: 'secondary', wx: pos.x2, wy: pos.y2 },
+    ];
+  }
+
+  // Keep the followed star at the canvas centre
+  function followCamera() {
+    const { follow } = state.camera;
+    if (!follow) return;
+    const target = starPositionsWorld().find(p => p.key === follow);
+    if (!target) { state.camera.follow = null; return; }
+    state.camera.offsetX = -target.wx * state.camera.zoom;
+    state.camera.offsetY = -target.wy * state.camera.zoom;
+  }
+
   function colorForTemp(T) {
     // Approximate blackbody to RGB (improved mapping)
     // Source adapted from Tanner Helland's approximation
@@ -317,37 +526,35 @@
 
   // Compute dynamic visual radius in pixels at zoom=1 for the current stage/age
   function dynamicRadiusPx(star, baseScalePx) {
-    const { R, stage } = updateStarParams(star);
+    const { R, stage } = starParams(star);
 
     // Fractions within each phase
     const fProtostar = clamp(star.age / star.tProtostar, 0, 1);
     const fMS = clamp((star.age - star.tProtostar) / star.tMS, 0, 1);
-    const fGiant = clamp((star.age - star.tProtostar - star.tMS) / star.tGiant, 0, 1);
 
     // Base mapping from physical radius to visual scale
     const baseVisual = Math.pow(R, 0.4) * (baseScalePx * 0.15);
 
     let multiplier = 1;
+    const swell = star.massInitial >= 1 ? 1.5 : 1.2;
     if (stage === 'Protostar') {
       // Large then contracting to ZAMS
       multiplier = lerp(3.0, 1.0, easeOutCubic(fProtostar));
-    } else if (stage === 'Main Sequence') {
+    } else if (stage === 'Main Sequence' || stage === 'Deuterium Burning') {
       // Slowly swells over life
-      const swell = star.massInitial >= 1 ? 1.5 : 1.2;
       multiplier = lerp(1.0, swell, fMS);
-    } else if (stage === 'Giant' || stage === 'Supergiant') {
-      // Dramatic expansion
-      const maxExp = star.massInitial >= 8 ? 800 : 150; // Rsun scale implicit in R^0.4 mapping
-      const expFactor = lerp(2.0, (Math.pow(maxExp, 0.4)), easeInOut(fGiant));
-      multiplier = expFactor;
-    } else if (star.ended) {
+    } else if (!star.ended) {
+      // Later phases: the physical radius already carries the expansion or contraction
+      multiplier = swell;
+    } else {
       // Collapsed object size
-      const finalRsun = finalCompactRadiusRsun(star);
+      const finalRsun = remnantRadiusRsun(star);
       const finalVisual = Math.pow(finalRsun, 0.4) * (baseScalePx * 0.15);
-      if (star.collapseAnimating && star.collapseProgress < 1) {
+      const vis = visualFor(star);
+      if (vis.collapseAnimating && vis.collapseProgress < 1) {
         // Interpolate from pre-collapse giant to compact size
         const preCollapse = Math.pow(Math.max(R, 1), 0.4) * (baseScalePx * 0.15) * 2.0;
-        const t = easeInOut(star.collapseProgress);
+        const t = easeInOut(vis.collapseProgress);
         return lerp(preCollapse, Math.max(finalVisual, 2), t);
       }
       return Math.max(finalVisual, 2);
@@ -356,27 +563,15 @@
     return clamp(baseVisual * multiplier, 2, baseScalePx);
   }
 
-  function finalCompactRadiusRsun(star) {
-    // Very rough physical scales
-    if (star.fate === 'White Dwarf') {
-      return 0.012; // ~Earth-sized
-    }
-    if (star.fate === 'Neutron Star') {
-      return 1.5e-5; // ~10-15 km
-    }
-    // Black hole (Schwarzschild radius): 2.95 km per M☉
-    const rs_km = 2.95 * star.massCurrent;
-    const rsun_km = 696000;
-    return Math.max(rs_km / rsun_km, 5e-6);
-  }
-
   function drawStarAtWorld(star, wx, wy, baseScalePx) {
-    const { L, R, T, stage } = updateStarParams(star);
+    const { L, R, T, stage } = starParams(star);
     const sizePx = dynamicRadiusPx(star, baseScalePx);
     const color = colorForTemp(T);
     const [cx, cy] = worldToScreen(wx, wy);
 
-    if (star.ended) {
+    if (star.fate === 'No Remnant') {
+      // Destroyed in a Type Ia or pair-instability supernova: nothing left to draw
+    } else if (star.ended) {
       drawCompactObject(star, cx, cy, sizePx);
     } else {
       // multi-stop glow for nicer visuals
@@ -386,13 +581,23 @@
     }
 
     // Trigger supernova on first frame after end for massive stars
-    if (star.justEnded) {
-      // For stars >= 8 M☉ only
-      if (star.massInitial >= 8 && !star.hadSupernova) {
-        startSupernova(wx, wy, color);
-        star.hadSupernova = true;
+    const vis = visualFor(star);
+    if (vis.justEnded) {
+      // White dwarfs and brown dwarfs form quietly
+      const type = SUPERNOVA_TYPES[star.endState];
+      if (type && !vis.hadSupernova) {
+        startSupernova(wx, wy, color, type);
+        vis.hadSupernova = true;
       }
-      star.justEnded = false;
+      vis.justEnded = false;
+    }
+    if (vis.pendingNova) {
+      startNova(wx, wy);
+      vis.pendingNova = false;
+    }
+    if (vis.pendingTypeIa) {
+      startSupernova(wx, wy, 'rgb(220,235,255)', 'type-ia');
+      vis.pendingTypeIa = false;
     }
   }
 
@@ -440,37 +645,163 @@
   }
 
   function drawStageRing(cx, cy, radius, stage) {
-    const colorMap = {
-      'Protostar': getComputedStyle(document.documentElement).getPropertyValue('--protostar') || '#ffb703',
-      'Main Sequence': getComputedStyle(document.documentElement).getPropertyValue('--ms') || '#5b9dff',
-      'Giant': getComputedStyle(document.documentElement).getPropertyValue('--giant') || '#ef476f',
-      'Supergiant': getComputedStyle(document.documentElement).getPropertyValue('--giant') || '#ef476f',
-      'White Dwarf': getComputedStyle(document.documentElement).getPropertyValue('--wd') || '#8bd3e6',
-      'Neutron Star': getComputedStyle(document.documentElement).getPropertyValue('--ns') || '#c77dff',
-      'Black Hole': getComputedStyle(document.documentElement).getPropertyValue('--bh') || '#ff8fa3',
-    };
-    const color = colorMap[stage] || '#ffffff';
-    ctx.strokeStyle = color;
+    ctx.strokeStyle = stageColor(stage);
     ctx.lineWidth = 3;
     ctx.beginPath();
     ctx.arc(cx, cy, radius, 0, Math.PI * 2);
     ctx.stroke();
   }
 
-  function drawRocheLobeWorld(donor, accretor, wx, wy, separationAU, sepWorld) {
-    const RL = rocheLobeRadiusAU(donor.massCurrent, accretor.massCurrent, separationAU);
-    const RLpx = RL / separationAU * sepWorld;
-    const [cx, cy] = worldToScreen(wx, wy);
-    ctx.strokeStyle = 'rgba(255,255,255,0.35)';
-    ctx.setLineDash([4, 4]);
+  function isAccretingRemnant(star) {
+    return star.ended && star.accretionRate > 0 && star.massCurrent > 0;
+  }
+
+  // Stream from the inner Lagrange point curving (Coriolis) onto a disk that fills most of the
+  // accretor's Roche lobe. Brightness follows the accretion luminosity relative to Eddington.
+  function drawAccretionFlow(donor, accretor, dx, dy, ax, ay, pos) {
+    const rAU = sim.separationAU * pos.r;
+    const rWorld = Math.hypot(dx - ax, dy - ay) || 1;
+    const ux = (dx - ax) / rWorld; // unit vector accretor → donor (projected)
+    const uy = (dy - ay) / rWorld;
+    const l1 = lagrangeL1DistanceAU(accretor.massCurrent, donor.massCurrent, rAU) * pos.pxPerAU;
+    const [lx, ly] = worldToScreen(ax + ux * l1, ay + uy * l1);
+    const [cx, cy] = worldToScreen(ax, ay);
+    const zoom = state.camera.zoom;
+    const diskR = Math.max(0.7 * rocheLobeRadiusAU(accretor.massCurrent, donor.massCurrent, rAU) * pos.pxPerAU * zoom, 6);
+    const diskRy = Math.max(diskR * Math.cos(pos.incl), diskR * 0.12);
+    const power = clamp(Math.log10(1 + accretor.accretionLuminosity / eddingtonLuminosityLsun(accretor.massCurrent) * 100) / 2, 0.2, 1);
+
+    // Stream: lands on the disk rim after bending perpendicular to the line of centres
+    const px = -uy;
+    const py = ux;
+    const [ex, ey] = [cx + px * diskR * 0.9, cy + py * diskRy * 0.9];
+    const [qx, qy] = [(lx + ex) / 2 + px * diskR * 0.5, (ly + ey) / 2 + py * diskR * 0.5];
+    ctx.save();
+    ctx.strokeStyle = `rgba(255,190,140,${0.5 + 0.4 * power})`;
+    ctx.lineWidth = Math.max(1.5, diskR * 0.08);
+    ctx.lineCap = 'round';
     ctx.beginPath();
-    ctx.arc(cx, cy, RLpx * state.camera.zoom, 0, Math.PI * 2);
+    ctx.moveTo(lx, ly);
+    ctx.quadraticCurveTo(qx, qy, ex, ey);
+    ctx.stroke();
+
+    // Disk: hot blue-white inner edge fading to a cool red rim, seen at the view inclination
+    ctx.translate(cx, cy);
+    ctx.scale(1, diskRy / diskR);
+    const g = ctx.createRadialGradient(0, 0, diskR * 0.05, 0, 0, diskR);
+    g.addColorStop(0, `rgba(220,235,255,${0.9 * power})`);
+    g.addColorStop(0.35, `rgba(255,210,150,${0.7 * power})`);
+    g.addColorStop(1, 'rgba(255,100,60,0)');
+    ctx.fillStyle = g;
+    ctx.beginPath();
+    ctx.arc(0, 0, diskR, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    // Hot spot where the stream hits the rim
+    ctx.fillStyle = `rgba(255,240,210,${0.8 * power})`;
+    ctx.beginPath(); ctx.arc(ex, ey, Math.max(2, diskR * 0.08), 0, Math.PI * 2); ctx.fill();
+
+    // X-ray glow from the inner disk of a neutron star or black hole
+    if (accretor.fate !== 'White Dwarf') {
+      const xr = Math.max(8, diskR * 0.35);
+      const xg = ctx.createRadialGradient(cx, cy, 0, cx, cy, xr);
+      xg.addColorStop(0, `rgba(170,200,255,${0.9 * power})`);
+      xg.addColorStop(1, 'rgba(170,200,255,0)');
+      ctx.fillStyle = xg;
+      ctx.beginPath(); ctx.arc(cx, cy, xr, 0, Math.PI * 2); ctx.fill();
+    }
+  }
+
+  // Screen position of a point in the co-rotating Roche frame (primary at (0, 0), secondary at
+  // (1, 0), lengths in units of the instantaneous separation), tilted like the orbit
+  function rocheToScreen(pos, u, v) {
+    const cosI = Math.cos(pos.incl);
+    return worldToScreen(
+      pos.x1 + u * pos.relX - v * pos.relY,
+      pos.y1 + (u * pos.relY + v * pos.relX) * cosI,
+    );
+  }
+
+  function strokeRocheSegments(pos, segments) {
+    ctx.beginPath();
+    for (const [u1, v1, u2, v2] of segments) {
+      const [ax, ay] = rocheToScreen(pos, u1, v1);
+      const [bx, by] = rocheToScreen(pos, u2, v2);
+      ctx.moveTo(ax, ay);
+      ctx.lineTo(bx, by);
+    }
     ctx.stroke();
-    ctx.setLineDash([]);
+  }
+
+  // The critical equipotential through L1 (each star's Roche lobe), optional neighbouring
+  // equipotentials and the five Lagrange points
+  function drawRocheGeometry(pos) {
+    const geo = rocheGeometry(sim.star2.massCurrent / sim.star1.massCurrent);
+    ctx.save();
+    if (els.rocheContours.checked) {
+      ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+      ctx.lineWidth = 1;
+      for (const segments of geo.extra) strokeRocheSegments(pos, segments);
+    }
+    ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+    ctx.lineWidth = 1.25;
+    strokeRocheSegments(pos, geo.critical);
+
+    ctx.strokeStyle = 'rgba(255,209,102,0.8)';
+    ctx.fillStyle = 'rgba(255,209,102,0.8)';
+    ctx.lineWidth = 1;
+    ctx.font = '10px Inter, system-ui, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    for (const [name, p] of Object.entries(geo.points)) {
+      const [x, y] = rocheToScreen(pos, p.x, p.y);
+      ctx.beginPath();
+      ctx.moveTo(x - 3, y); ctx.lineTo(x + 3, y);
+      ctx.moveTo(x, y - 3); ctx.lineTo(x, y + 3);
+      ctx.stroke();
+      ctx.fillText(name, x + 4, y - 2);
+    }
+    ctx.restore();
+  }
+
+  // Stable overflow onto a living star: a stream from L1 that the Coriolis force bends to the
+  // right of its motion, landing on the accretor's trailing side. Width follows the rate.
+  function drawTransferStream(flow, pos) {
+    const geo = rocheGeometry(sim.star2.massCurrent / sim.star1.massCurrent);
+    const donorAt = flow.donor === sim.star1 ? 0 : 1;
+    const accretorAt = 1 - donorAt;
+    const dir = Math.sign(accretorAt - donorAt);
+    const l1 = geo.points.L1.x;
+    const lobe = rocheLobeRadiusAU(flow.accretor.massCurrent, flow.donor.massCurrent, 1);
+    const end = [accretorAt - dir * 0.5 * lobe * 0.6, -dir * 0.87 * lobe * 0.6];
+    const control = [(l1 + end[0]) / 2, -dir * 0.3 * Math.abs(accretorAt - l1)];
+    const [sx, sy] = rocheToScreen(pos, l1, 0);
+    const [qx, qy] = rocheToScreen(pos, ...control);
+    const [ex, ey] = rocheToScreen(pos, ...end);
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,190,140,0.75)';
+    ctx.lineWidth = clamp(1 + 0.6 * Math.log10(flow.rate / 1e-8), 1, 5);
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(sx, sy);
+    ctx.quadraticCurveTo(qx, qy, ex, ey);
+    ctx.stroke();
+    ctx.restore();
   }
 
   function drawCompactObject(star, cx, cy, sizePx) {
-    if (star.fate === 'White Dwarf') {
+    if (star.fate === 'Brown Dwarf') {
+      // Dim, banded, Jupiter-like disk glowing faintly in the infrared
+      const r = Math.max(3, sizePx * 0.6);
+      drawMultiGlow(cx, cy, r * 1.6, 'rgb(150,60,40)');
+      drawDisk(cx, cy, r, '#6b3a2a');
+      ctx.save();
+      ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.clip();
+      ctx.fillStyle = 'rgba(190,110,70,0.45)';
+      for (const band of [-0.5, -0.1, 0.35]) ctx.fillRect(cx - r, cy + band * r, 2 * r, 0.18 * r);
+      ctx.restore();
+    } else if (star.fate === 'White Dwarf') {
       const color = 'rgba(200,230,255,1)';
       drawMultiGlow(cx, cy, sizePx * 1.4, 'rgba(180,210,255,0.7)');
       drawDisk(cx, cy, Math.max(2, sizePx * 0.6), color);
@@ -480,12 +811,7 @@
     } else if (star.fate === 'Neutron Star') {
       drawMultiGlow(cx, cy, sizePx * 1.2, 'rgba(199,125,255,0.8)');
       drawDisk(cx, cy, Math.max(2, sizePx * 0.5), '#c77dff');
-      ctx.strokeStyle = 'rgba(199,125,255,0.7)';
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.moveTo(cx, cy - sizePx * 1.6); ctx.lineTo(cx, cy - sizePx * 0.8);
-      ctx.moveTo(cx, cy + sizePx * 0.8); ctx.lineTo(cx, cy + sizePx * 1.6);
-      ctx.stroke();
+      if (isActivePulsar(star)) drawPulsarBeams(star, cx, cy, sizePx);
     } else {
       drawDisk(cx, cy, Math.max(3, sizePx * 0.6), '#000');
       const ringR = Math.max(8, sizePx * 1.5);
@@ -499,17 +825,370 @@
     }
   }
 
-  // Supernova system
-  function startSupernova(wx, wy, color) {
+  // Pulsar beams sweep at the spin phase. Real periods are far too fast to watch, so the
+  // displayed period grows with the logarithm of the true one.
+  const PULSAR_MAGNETIC_TILT = 0.5; // radians between the magnetic and spin axes
+  const pulsarPhases = new WeakMap(); // neutron star → displayed spin angle (radians)
+
+  function pulsarDisplaySeconds(periodS) {
+    return clamp(0.4 + 0.3 * Math.log10(periodS / 1e-3), 0.4, 2);
+  }
+
+  function advancePulsarPhases(dt) {
+    for (const star of sim.stars) {
+      if (!isActivePulsar(star)) continue;
+      const seconds = pulsarDisplaySeconds(star.spinPeriodS);
+      pulsarPhases.set(star, ((pulsarPhases.get(star) || 0) + 2 * Math.PI * dt / seconds) % (2 * Math.PI));
+    }
+  }
+
+  // The magnetic axis precesses around the vertical spin axis; each beam flashes brighter as it
+  // swings towards the viewer
+  function drawPulsarBeams(star, cx, cy, sizePx) {
+    const phase = pulsarPhases.get(star) || 0;
+    const dx = Math.sin(PULSAR_MAGNETIC_TILT) * Math.cos(phase);
+    const dy = -Math.cos(PULSAR_MAGNETIC_TILT);
+    const towardViewer = Math.sin(PULSAR_MAGNETIC_TILT) * Math.sin(phase);
+    const length = Math.max(sizePx * 3, 16);
+    for (const sign of [1, -1]) {
+      const facing = Math.max(sign * towardViewer, 0) / Math.sin(PULSAR_MAGNETIC_TILT);
+      const angle = Math.atan2(sign * dy, sign * dx);
+      const g = ctx.createLinearGradient(cx, cy, cx + sign * dx * length, cy + sign * dy * length);
+      g.addColorStop(0, `rgba(225,190,255,${0.5 + 0.4 * facing})`);
+      g.addColorStop(1, 'rgba(199,125,255,0)');
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.arc(cx, cy, length, angle - 0.12, angle + 0.12);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+
+  // Planetary nebulae and supernova remnants live in simulation time (sim.ejecta); only their
+  // on-screen size is compressed, to a square-root scale of the true radius
+  const EJECTA_PX_PER_SQRT_PC = 60;
+  const ejectaSites = new WeakMap(); // supernova remnant → world position of the explosion
+
+  // Nebulae stay centred on their white dwarf; remnants stay where the star exploded
+  function ejectaCenterWorld(ejecta) {
+    const site = ejectaSites.get(ejecta);
+    if (site) return site;
+    const star = starPositionsWorld().find(p => p.key === ejecta.which);
+    const here = star && sim.stars.includes(ejecta.star) ? { wx: star.wx, wy: star.wy } : { wx: 0, wy: 0 };
+    if (ejecta.kind === 'supernova-remnant') ejectaSites.set(ejecta, here);
+    return here;
+  }
+
+  function ejectaRadiusPx(st) {
+    return Math.max(EJECTA_PX_PER_SQRT_PC * Math.sqrt(st.radiusPc) * state.camera.zoom, 2);
+  }
+
+  // Nebulae turn from [O III] teal to Hα red as they recombine; remnant shocks cool from
+  // X-ray white through orange to red
+  function ejectaColor(ejecta, st) {
+    if (ejecta.kind === 'planetary-nebula') {
+      const f = clamp(1 - st.temperatureK / 1e4, 0, 1);
+      return `${Math.round(lerp(77, 255, f))},${Math.round(lerp(212, 110, f))},${Math.round(lerp(172, 140, f))}`;
+    }
+    const f = clamp((Math.log10(st.temperatureK) - 4) / 3, 0, 1); // 10⁴ K → 10⁷ K
+    return `255,${Math.round(lerp(90, 225, f))},${Math.round(lerp(70, 255, f))}`;
+  }
+
+  function drawEjecta() {
+    for (const ejecta of sim.ejecta) {
+      const st = ejectaState(ejecta, sim.t);
+      if (!st.visible) continue;
+      const c = ejectaCenterWorld(ejecta);
+      const [cx, cy] = worldToScreen(c.wx, c.wy);
+      const r = ejectaRadiusPx(st);
+      const rgb = ejectaColor(ejecta, st);
+      const a = clamp(st.brightness, 0, 1);
+      // Thin bright rim around a faint interior: limb-brightened shells
+      const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
+      g.addColorStop(0, `rgba(${rgb},${0.08 * a})`);
+      g.addColorStop(0.8, `rgba(${rgb},${0.2 * a})`);
+      g.addColorStop(0.95, `rgba(${rgb},${0.55 * a})`);
+      g.addColorStop(1, `rgba(${rgb},0)`);
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+      ctx.fill();
+      if (ejecta === state.selectedEjecta) {
+        ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    }
+  }
+
+  // Smallest visible nebula or remnant under a canvas position (backing-store pixels)
+  function pickEjecta(mx, my) {
+    let best = null;
+    let bestR = Infinity;
+    for (const ejecta of sim.ejecta) {
+      const st = ejectaState(ejecta, sim.t);
+      if (!st.visible) continue;
+      const c = ejectaCenterWorld(ejecta);
+      const [cx, cy] = worldToScreen(c.wx, c.wy);
+      const r = ejectaRadiusPx(st);
+      if (Math.hypot(mx - cx, my - cy) <= r && r < bestR) { best = ejecta; bestR = r; }
+    }
+    return best;
+  }
+
+  function prettyRadiusPc(pc) {
+    return pc < 0.01 ? `${fmt(pc * 206265, 0)} AU` : `${fmt(pc, 2)} pc`;
+  }
+
+  function prettyTemperature(T) {
+    return T >= 1e6 ? `${fmt(T / 1e6, 1)} MK` : `${Math.round(T)} K`;
+  }
+
+  function updateEjectaCard() {
+    const ejecta = state.selectedEjecta;
+    const st = ejecta && ejectaState(ejecta, sim.t);
+    els.ejectaCard.style.display = st && st.visible ? 'block' : 'none';
+    if (!st || !st.visible) return;
+    const owner = ejecta.which === 'primary' ? 'primary' : 'secondary';
+    els.ejectaTitle.textContent = ejecta.kind === 'planetary-nebula'
+      ? `Planetary Nebula (${owner})`
+      : `Supernova Remnant (${owner})`;
+    els.ejectaAge.textContent = prettyYears(st.ageYears);
+    els.ejectaRadius.textContent = prettyRadiusPc(st.radiusPc);
+    els.ejectaSpeed.textContent = `${fmt(st.speedKms, 0)} km/s`;
+    els.ejectaTemp.textContent = prettyTemperature(st.temperatureK);
+    els.ejectaPhase.textContent = st.phase;
+    els.ejectaMass.textContent = ejecta.ejectaMass === null ? '—' : `${fmt(ejecta.ejectaMass, 2)} M☉`;
+  }
+
+  // Planets and habitable zones. Beyond the photosphere, distances are drawn on a log scale:
+  // inner orbits clear the enlarged stellar disk, and a planet touches the disk exactly when
+  // the star's physical radius reaches its orbit.
+  const PLANET_SECONDS_PER_YEAR = 12; // displayed seconds per year of orbital period
+  const planetPhases = new WeakMap(); // planet → displayed orbital angle (radians)
+  const PLANET_ZONE_COLORS = { hot: '#ffb14e', habitable: '#4dd4ac', cold: '#8ecaff' };
+
+  // Hosts on screen with their radial mapping from AU to screen pixels
+  function planetFrames() {
+    const { width, height } = els.starCanvas;
+    const zoom = state.camera.zoom;
+    const bound = sim.isBinary && !sim.unbound;
+    const pos = sim.isBinary ? binaryPositionsWorld() : null;
+    return starPositionsWorld().map(({ key, wx, wy }) => {
+      const star = key === 'primary' ? sim.star1 : sim.star2;
+      const baseScalePx = Math.min(width, height) * (sim.isBinary ? 0.3 : 0.35);
+      const zamsAU = stellarRadiusAU(radiusRsun(star.massInitial, star.z));
+      let pxPerDecade;
+      if (bound) {
+        // The companion sits where its distance falls on the same scale
+        const sepPx = Math.hypot(pos.x2 - pos.x1, pos.y2 - pos.y1);
+        pxPerDecade = Math.max(sepPx / Math.log10(Math.max(sim.separationAU * pos.r / zamsAU, 2)), 10);
+      } else {
+        const orbits = sim.planets.filter(p => p.host === key).map(p => 2 * p.orbitInitialAU);
+        const outerAU = Math.max(5, ...orbits);
+        pxPerDecade = Math.min(width, height) * 0.45 / Math.log10(outerAU / zamsAU);
+      }
+      const surfacePx = dynamicRadiusPx(star, baseScalePx) * 0.6;
+      const surfaceAU = stellarRadiusAU(currentRadiusRsun(star));
+      const [cx, cy] = worldToScreen(wx, wy);
+      return {
+        key, star, cx, cy,
+        squash: bound ? Math.max(Math.cos(pos.incl), 0.12) : 1,
+        radiusPx: (au) => surfacePx + Math.max(Math.log10(au / surfaceAU), 0) * pxPerDecade * zoom,
+      };
+    });
+  }
+
+  function strokeOrbitRing(frame, r) {
+    ctx.beginPath();
+    ctx.ellipse(frame.cx, frame.cy, r, r * frame.squash, 0, 0, Math.PI * 2);
+  }
+
+  // Habitable-zone bands and planet orbits, drawn behind the stars
+  function drawPlanetOrbits(frames) {
+    ctx.save();
+    for (const frame of frames) {
+      if (els.showHabitableZone.checked && !frame.star.ended) {
+        const { hz } = planetConditions(frame.star, 1);
+        const inner = frame.radiusPx(hz.inner);
+        const outer = frame.radiusPx(hz.outer);
+        ctx.fillStyle = 'rgba(77,212,172,0.12)';
+        ctx.beginPath();
+        ctx.ellipse(frame.cx, frame.cy, outer, outer * frame.squash, 0, 0, Math.PI * 2);
+        ctx.ellipse(frame.cx, frame.cy, inner, inner * frame.squash, 0, 0, Math.PI * 2);
+        ctx.fill('evenodd');
+      }
+      ctx.strokeStyle = 'rgba(255,255,255,0.16)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 5]);
+      for (const planet of sim.planets) {
+        if (planet.host !== frame.key || planet.status !== 'orbiting') continue;
+        strokeOrbitRing(frame, frame.radiusPx(planet.orbitAU));
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+    }
+    ctx.restore();
+  }
+
+  // Planets in front of the stars, coloured by where they sit relative to the habitable zone
+  function drawPlanets(frames) {
+    ctx.save();
+    ctx.font = '11px Inter, system-ui, sans-serif';
+    for (const frame of frames) {
+      for (const planet of sim.planets) {
+        if (planet.host !== frame.key || planet.status !== 'orbiting') continue;
+        const r = frame.radiusPx(planet.orbitAU);
+        const angle = planetPhases.get(planet) || 0;
+        const x = frame.cx + r * Math.cos(angle);
+        const y = frame.cy + r * Math.sin(angle) * frame.squash;
+        const { zone } = planetConditions(frame.star, planet.orbitAU, planet.albedo);
+        ctx.fillStyle = PLANET_ZONE_COLORS[zone] || '#c9d4df';
+        ctx.beginPath();
+        ctx.arc(x, y, 3.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'rgba(230,237,243,0.75)';
+        ctx.fillText(planet.name, x + 6, y - 4);
+      }
+    }
+    ctx.restore();
+  }
+
+  // Displayed orbital motion: Kepler periods compressed to a watchable pace
+  function advancePlanetPhases(dt) {
+    for (const planet of sim.planets) {
+      const host = sim.planetHost(planet);
+      if (!host || planet.status !== 'orbiting' || host.massCurrent <= 0) continue;
+      const seconds = clamp(PLANET_SECONDS_PER_YEAR * orbitalPeriodYears(planet.orbitAU, host.massCurrent), 2, 300);
+      planetPhases.set(planet, ((planetPhases.get(planet) || 0) + 2 * Math.PI * dt / seconds) % (2 * Math.PI));
+    }
+  }
+
+  function planetStatusLabel(planet) {
+    const host = sim.planetHost(planet);
+    if (planet.status === 'engulfed') return `Engulfed at ${prettyYears(planet.statusAt)}`;
+    if (planet.status === 'ejected') return `Unbound by the supernova at ${prettyYears(planet.statusAt)}`;
+    if (!host) return sim.members.includes(planet.host === 'secondary' ? sim.star2 : sim.star1) ? 'Host not yet formed' : 'Host not simulated';
+    const a = `${fmt(planet.orbitAU, planet.orbitAU < 0.1 ? 3 : 2)} AU`;
+    const { temperatureK, zone } = planetConditions(host, planet.orbitAU, planet.albedo);
+    if (zone === null) return `${a} · orbits a ${host.fate.toLowerCase()}`;
+    const where = zone === 'habitable' ? 'in the habitable zone' : zone === 'hot' ? 'too hot' : 'too cold';
+    return `${a} · T_eq ${Math.round(temperatureK)} K · ${where}`;
+  }
+
+  // Rebuilt when planets are added or removed; the readouts refresh in updateUI
+  function renderPlanetList() {
+    els.planetList.innerHTML = '';
+    sim.planets.forEach((planet, i) => {
+      const row = document.createElement('div');
+      row.className = 'planet-row';
+      const name = document.createElement('strong');
+      name.textContent = `${planet.name} (${planet.host})`;
+      const status = document.createElement('small');
+      status.className = 'planet-status';
+      const remove = document.createElement('button');
+      remove.className = 'btn btn-tertiary btn-small';
+      remove.dataset.removePlanet = String(i);
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove ${planet.name}`);
+      row.append(name, remove, status);
+      els.planetList.append(row);
+    });
+    updatePlanetList();
+  }
+
+  function updatePlanetList() {
+    const rows = els.planetList.querySelectorAll('.planet-status');
+    sim.planets.forEach((planet, i) => {
+      if (rows[i]) rows[i].textContent = planetStatusLabel(planet);
+    });
+  }
+
+  // Supernova system (also drives the nova, common-envelope and merger effects).
+  // type: 'core-collapse' leaves a remnant behind the shock; 'type-ia' is a brighter,
+  // faster, hydrogen-free blast that leaves nothing; 'failed' is a star that winks out as it
+  // collapses; 'ppisn' throws off successive shells; 'pisn' is the brightest and leaves nothing.
+  const SUPERNOVA_DURATIONS_MS = { 'core-collapse': 2500, 'type-ia': 3200, failed: 2200, ppisn: 4500, pisn: 4200 };
+
+  // Explosion seen when a star ends, by its END_STATES key
+  const SUPERNOVA_TYPES = { ns: 'core-collapse', bh: 'core-collapse', dc: 'failed', ppisn: 'ppisn', pisn: 'pisn' };
+
+  function startSupernova(wx, wy, color, type = 'core-collapse') {
     state.explosions.push({
+      kind: type,
       wx, wy,
       ageMs: 0,
-      durationMs: 2500,
+      durationMs: SUPERNOVA_DURATIONS_MS[type],
       color,
       alive: true,
     });
   }
 
+  // Compact-object mergers: a red, slowly fading kilonova cloud and expanding GW ripples
+  function startKilonova(wx, wy) {
+    state.explosions.push({
+      kind: 'kilonova',
+      wx, wy,
+      ageMs: 0,
+      durationMs: 5000,
+      color: '255,110,70',
+      alive: true,
+    });
+  }
+
+  function startGravitationalRipples(wx, wy) {
+    state.explosions.push({
+      kind: 'gw',
+      wx, wy,
+      ageMs: 0,
+      durationMs: 3000,
+      color: '255,143,163',
+      alive: true,
+    });
+  }
+
+  // Brief surface flash on an accreting white dwarf
+  function startNova(wx, wy) {
+    // Many novae per step at high speed; one flash at a time is enough
+    if (state.explosions.some(ex => ex.kind === 'nova' && ex.wx === wx && ex.wy === wy)) return;
+    state.explosions.push({
+      kind: 'nova',
+      wx, wy,
+      ageMs: 0,
+      durationMs: 900,
+      color: '255,245,200',
+      alive: true,
+    });
+  }
+
+  // Slow, lumpy shell of envelope gas; reddish when the spiral-in ends in a merger
+  function startEnvelopeEjection(wx, wy, merging) {
+    state.explosions.push({
+      kind: 'envelope',
+      wx, wy,
+      ageMs: 0,
+      durationMs: 4000,
+      color: merging ? '255,140,90' : '140,200,255',
+      alive: true,
+    });
+  }
+
+  function startMergerFlash(wx, wy) {
+    state.explosions.push({
+      kind: 'merger',
+      wx, wy,
+      ageMs: 0,
+      durationMs: 1800,
+      color: '255,209,102',
+      alive: true,
+    });
+  }
+
   function updateExplosions(dtMs) {
     for (const ex of state.explosions) {
       ex.ageMs += dtMs;
@@ -520,6 +1199,15 @@
 
   function drawExplosions() {
     for (const ex of state.explosions) {
+      if (ex.kind === 'envelope') { drawEnvelopeEjection(ex); continue; }
+      if (ex.kind === 'merger') { drawMergerFlash(ex); continue; }
+      if (ex.kind === 'nova') { drawNovaFlash(ex); continue; }
+      if (ex.kind === 'type-ia') { drawTypeIa(ex); continue; }
+      if (ex.kind === 'failed') { drawFailedSupernova(ex); continue; }
+      if (ex.kind === 'ppisn') { drawPulsationalPairInstability(ex); continue; }
+      if (ex.kind === 'pisn') { drawPairInstability(ex); continue; }
+      if (ex.kind === 'kilonova') { drawKilonova(ex); continue; }
+      if (ex.kind === 'gw') { drawGravitationalRipples(ex); continue; }
       const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
       const [cx, cy] = worldToScreen(ex.wx, ex.wy);
       const maxR = Math.min(els.starCanvas.width, els.starCanvas.height) * 0.6 * state.camera.zoom;
@@ -544,216 +1232,682 @@
     }
   }
 
-  // Timeline rendering
-  function renderTimeline(el, star) {
+  function drawNovaFlash(ex) {
+    const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
+    const [cx, cy] = worldToScreen(ex.wx, ex.wy);
+    const alpha = 1 - t;
+    const r = 6 + 40 * easeOutCubic(t);
+    const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
+    g.addColorStop(0, `rgba(${ex.color},${0.9 * alpha})`);
+    g.addColorStop(1, `rgba(${ex.color},0)`);
+    ctx.fillStyle = g;
+    ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.fill();
+    ctx.strokeStyle = `rgba(${ex.color},${0.6 * alpha})`;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath(); ctx.arc(cx, cy, r * 1.2, 0, Math.PI * 2); ctx.stroke();
+  }
+
+  // Thermonuclear supernova: blinding white flash, a fast thin shell with a silicon/iron tint,
+  // and no compact object or hydrogen glow at the centre
+  function drawTypeIa(ex) {
+    const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
+    const [cx, cy] = worldToScreen(ex.wx, ex.wy);
+    const maxR = Math.min(els.starCanvas.width, els.starCanvas.height) * 0.8 * state.camera.zoom;
+    const r = lerp(10, maxR, easeOutCubic(Math.min(t * 1.4, 1)));
+    const alpha = 1 - t;
+
+    const flash = ctx.createRadialGradient(cx, cy, 0, cx, cy, 80 * (1 - t) + 10);
+    flash.addColorStop(0, `rgba(255,255,255,${alpha})`);
+    flash.addColorStop(1, 'rgba(200,220,255,0)');
+    ctx.fillStyle = flash;
+    ctx.beginPath(); ctx.arc(cx, cy, 80 * (1 - t) + 10, 0, Math.PI * 2); ctx.fill();
+
+    ctx.strokeStyle = `rgba(200,225,255,${0.9 * alpha})`;
+    ctx.lineWidth = 3 * (1 - t) + 1;
+    ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
+
+    const shell = ctx.createRadialGradient(cx, cy, r * 0.85, cx, cy, r);
+    shell.addColorStop(0, 'rgba(170,255,210,0)');
+    shell.addColorStop(1, `rgba(170,255,210,${0.25 * alpha})`);
+    ctx.fillStyle = shell;
+    ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.fill();
+  }
+
+  // Failed supernova: the star's light brightens briefly, then the surface falls inwards and
+  // the glow winks out with no shock
+  function drawFailedSupernova(ex) {
+    const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
+    const [cx, cy] = worldToScreen(ex.wx, ex.wy);
+    const r0 = Math.min(els.starCanvas.width, els.starCanvas.height) * 0.12 * state.camera.zoom;
+    const r = lerp(r0, 2, easeInOut(t));
+    const alpha = t < 0.15 ? 0.5 + t / 0.3 : 1 - (t - 0.15) / 0.85;
+    const glow = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
+    glow.addColorStop(0, `rgba(255,235,210,${0.8 * alpha})`);
+    glow.addColorStop(1, 'rgba(255,160,120,0)');
+    ctx.fillStyle = glow;
+    ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.fill();
+    ctx.strokeStyle = `rgba(255,160,120,${0.6 * alpha})`;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath(); ctx.arc(cx, cy, r * 1.3, 0, Math.PI * 2); ctx.stroke();
+  }
+
+  // Pulsational pair instability: a few shells thrown off one after another before the core
+  // collapses quietly
+  function drawPulsationalPairInstability(ex) {
+    const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
+    const [cx, cy] = worldToScreen(ex.wx, ex.wy);
+    const maxR = Math.min(els.starCanvas.width, els.starCanvas.height) * 0.5 * state.camera.zoom;
+    for (let k = 0; k < 3; k++) {
+      const tk = (t - k * 0.25) / 0.5;
+      if (tk <= 0 || tk >= 1) continue;
+      const r = lerp(10, maxR, easeOutCubic(tk));
+      const alpha = 1 - tk;
+      // Each pulse flashes at the centre as it leaves
+      if (tk < 0.2) {
+        ctx.fillStyle = `rgba(255,240,220,${0.6 * (1 - tk / 0.2)})`;
+        ctx.beginPath(); ctx.arc(cx, cy, 8 + 12 * tk / 0.2, 0, Math.PI * 2); ctx.fill();
+      }
+      ctx.strokeStyle = `rgba(255,200,140,${0.8 * alpha})`;
+      ctx.lineWidth = 3 * alpha + 1;
+      ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
+      const shell = ctx.createRadialGradient(cx, cy, r * 0.8, cx, cy, r);
+      shell.addColorStop(0, 'rgba(255,150,100,0)');
+      shell.addColorStop(1, `rgba(255,150,100,${0.2 * alpha})`);
+      ctx.fillStyle = shell;
+      ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.fill();
+    }
+  }
+
+  // Pair-instability supernova: the whole star is blown apart by runaway oxygen burning. A long,
+  // very bright flash and a huge, thick shell glowing with radioactive nickel; nothing remains.
+  function drawPairInstability(ex) {
+    const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
+    const [cx, cy] = worldToScreen(ex.wx, ex.wy);
+    const maxR = Math.min(els.starCanvas.width, els.starCanvas.height) * state.camera.zoom;
+    const r = lerp(14, maxR, easeOutCubic(t));
+    const alpha = 1 - t;
+
+    const flashR = 140 * (1 - t) + 20;
+    const flash = ctx.createRadialGradient(cx, cy, 0, cx, cy, flashR);
+    flash.addColorStop(0, `rgba(255,255,245,${alpha})`);
+    flash.addColorStop(1, 'rgba(255,230,160,0)');
+    ctx.fillStyle = flash;
+    ctx.beginPath(); ctx.arc(cx, cy, flashR, 0, Math.PI * 2); ctx.fill();
+
+    const shell = ctx.createRadialGradient(cx, cy, r * 0.6, cx, cy, r);
+    shell.addColorStop(0, 'rgba(255,210,120,0)');
+    shell.addColorStop(0.8, `rgba(255,190,100,${0.35 * alpha})`);
+    shell.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.fillStyle = shell;
+    ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.fill();
+
+    ctx.strokeStyle = `rgba(255,235,190,${0.9 * alpha})`;
+    ctx.lineWidth = 6 * (1 - t) + 2;
+    ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
+  }
+
+  function drawKilonova(ex) {
+    const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
+    const [cx, cy] = worldToScreen(ex.wx, ex.wy);
+    const r = lerp(8, 140 * state.camera.zoom, easeOutCubic(t));
+    // Blue early (lanthanide-poor), then red as the heavy-element debris dominates
+    const color = t < 0.25 ? '150,190,255' : ex.color;
+    const alpha = t < 0.1 ? t / 0.1 : 1 - (t - 0.1) / 0.9;
+    const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
+    g.addColorStop(0, `rgba(${color},${0.7 * alpha})`);
+    g.addColorStop(0.6, `rgba(${color},${0.25 * alpha})`);
+    g.addColorStop(1, `rgba(${color},0)`);
+    ctx.fillStyle = g;
+    ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.fill();
+  }
+
+  function drawGravitationalRipples(ex) {
+    const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
+    const [cx, cy] = worldToScreen(ex.wx, ex.wy);
+    const maxR = Math.min(els.starCanvas.width, els.starCanvas.height) * 0.7;
+    ctx.lineWidth = 2;
+    for (let k = 0; k < 4; k++) {
+      const tk = t - k * 0.12;
+      if (tk <= 0) continue;
+      const r = maxR * tk;
+      ctx.strokeStyle = `rgba(${ex.color},${0.6 * (1 - tk)})`;
+      ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
+    }
+  }
+
+  function drawEnvelopeEjection(ex) {
+    const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
+    const [cx, cy] = worldToScreen(ex.wx, ex.wy);
+    const maxR = Math.min(els.starCanvas.width, els.starCanvas.height) * 0.45 * state.camera.zoom;
+    const r = lerp(20, maxR, easeOutCubic(t));
+    const alpha = 1 - t;
+    // Clumpy shell: overlapping puffs around a ring
+    for (let i = 0; i < 14; i++) {
+      const a = (i / 14) * Math.PI * 2 + t * 0.6;
+      const rr = r * (0.85 + 0.15 * Math.sin(i * 2.3));
+      const px = cx + Math.cos(a) * rr;
+      const py = cy + Math.sin(a) * rr;
+      const pr = r * 0.25;
+      const g = ctx.createRadialGradient(px, py, 0, px, py, pr);
+      g.addColorStop(0, `rgba(${ex.color},${0.35 * alpha})`);
+      g.addColorStop(1, `rgba(${ex.color},0)`);
+      ctx.fillStyle = g;
+      ctx.beginPath(); ctx.arc(px, py, pr, 0, Math.PI * 2); ctx.fill();
+    }
+  }
+
+  function drawMergerFlash(ex) {
+    const t = clamp(ex.ageMs / ex.durationMs, 0, 1);
+    const [cx, cy] = worldToScreen(ex.wx, ex.wy);
+    const alpha = 1 - t;
+    // Two inspiralling arms collapsing into a flash
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(t * Math.PI * 4);
+    ctx.strokeStyle = `rgba(${ex.color},${0.8 * alpha})`;
+    ctx.lineWidth = 3;
+    const r0 = 60 * (1 - t) + 6;
+    for (const s of [1, -1]) {
+      ctx.beginPath();
+      for (let k = 0; k <= 20; k++) {
+        const a = s * k * 0.2;
+        const rr = r0 * (1 - k / 24);
+        const x = Math.cos(a) * rr * s;
+        const y = Math.sin(a) * rr * s;
+        if (k) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+    ctx.fillStyle = `rgba(255,255,255,${0.7 * alpha * t})`;
+    ctx.beginPath(); ctx.arc(cx, cy, 8 + 30 * t, 0, Math.PI * 2); ctx.fill();
+  }
+
+  // Timelines: both stars on one axis of system age, the whole system lifetime or a zoomed-in
+  // part of it (state.timelineView)
+  const TIMELINE_ZOOM_STEP = 2; // span factor per button press or wheel notch
+  const MIN_TIMELINE_SPAN = 1e-7; // share of the full axis at the deepest zoom
+  const REMNANT_SEGMENTS = { 'White Dwarf': 'end-wd', 'Neutron Star': 'end-ns', 'Black Hole': 'end-bh', 'Brown Dwarf': 'end-bd' };
+
+  // System ages shown: { from, to }
+  function timelineRange() {
+    const end = Math.max(sim.lifetimeYears, sim.t);
+    const view = state.timelineView;
+    if (!view) return { from: 0, to: end };
+    const span = Math.min(view.to - view.from, end);
+    const from = clamp(view.from, 0, end - span);
+    return { from, to: from + span };
+  }
+
+  // While playing, a zoomed-in view moves along to keep the cursor in sight
+  function followTimelineCursor() {
+    const view = state.timelineView;
+    if (!view || !state.running) return;
+    const span = view.to - view.from;
+    if (sim.t > view.to) state.timelineView = { from: sim.t - 0.1 * span, to: sim.t + 0.9 * span };
+    else if (sim.t < view.from) state.timelineView = { from: sim.t - 0.9 * span, to: sim.t + 0.1 * span };
+  }
+
+  // Zoom by factor (below 1 zooms in) keeping anchorYears where it is on screen
+  function zoomTimeline(factor, anchorYears) {
+    const end = Math.max(sim.lifetimeYears, sim.t);
+    const { from, to } = timelineRange();
+    const span = clamp((to - from) * factor, end * MIN_TIMELINE_SPAN, end);
+    if (span >= end) {
+      state.timelineView = null;
+    } else {
+      const share = (anchorYears - from) / (to - from);
+      const start = clamp(anchorYears - share * span, 0, end - span);
+      state.timelineView = { from: start, to: start + span };
+    }
+    renderTimelines();
+  }
+
+  function renderTimelines() {
+    followTimelineCursor();
+    const range = timelineRange();
+    renderTimeline(els.timelinePrimary, sim.star1, range);
+    if (sim.binary) renderTimeline(els.timelineSecondary, sim.star2, range);
+    renderTimelineAxis(range);
+  }
+
+  function renderTimeline(el, star, { from, to }) {
     el.innerHTML = '';
+    const percent = (t) => (t - from) / (to - from) * 100;
 
-    const w = el.clientWidth;
-    const total = star.tTotal;
-    const addSeg = (widthFrac, cls) => {
+    const addSeg = (start, end, cls, title) => {
+      if (end <= from || start >= to) return;
       const seg = document.createElement('div');
       seg.className = `segment ${cls}`;
-      seg.style.left = `${pctSoFar}%`;
-      seg.style.width = `${widthFrac * 100}%`;
+      seg.title = title;
+      seg.style.left = `${percent(start)}%`;
+      seg.style.width = `${percent(end) - percent(start)}%`;
       el.appendChild(seg);
-      pctSoFar += widthFrac * 100;
     };
 
-    let pctSoFar = 0;
-    const p1 = star.tProtostar / total;
-    const p2 = star.tMS / total;
-    const p3 = star.tGiant / total;
-    addSeg(p1, 'protostar');
-    addSeg(p2, 'ms');
-
-    const endCls = star.massInitial < WD_MAX ? 'end-wd' : (star.massInitial < NS_MAX ? 'end-ns' : 'end-bh');
-    addSeg(p3, 'giant');
+    // Phases laid out from the star's formation; before it the star does not exist yet
+    let t = star.bornAt;
+    if (t > 0) addSeg(0, t, 'unformed', 'Not yet formed');
+    const msStage = mainSequenceStage(star);
+    const phases = [{ name: 'Protostar', duration: star.tProtostar }, { name: msStage, duration: star.tMS }, ...star.phases];
+    for (const phase of phases) {
+      addSeg(t, t + phase.duration, STAGE_KEYS[phase.name], phase.name);
+      t += phase.duration;
+    }
+    if (star.ended && REMNANT_SEGMENTS[star.fate]) addSeg(t, Math.max(to, t), REMNANT_SEGMENTS[star.fate], star.fate);
+
+    // Binary interaction markers
+    for (const ev of state.timelineEvents) {
+      if (ev.star !== star || ev.t < from || ev.t > to) continue;
+      const marker = document.createElement('div');
+      marker.className = `event-marker ${ev.kind}`;
+      marker.style.left = `${percent(ev.t)}%`;
+      marker.title = ev.label;
+      el.appendChild(marker);
+    }
 
-    // Cursor for current age
+    // Cursor for the current system age
     const cursor = document.createElement('div');
     cursor.className = 'cursor';
-    const frac = clamp(star.age / total, 0, 1);
-    cursor.style.left = `${frac * 100}%`;
+    cursor.style.left = `${clamp(percent(sim.t), 0, 100)}%`;
     el.appendChild(cursor);
+  }
 
-    // Make timeline interactive (click/drag scrubbing)
-    wireTimelineInteractivity(el);
+  // A handful of round ages along the axis
+  function renderTimelineAxis({ from, to }) {
+    const el = els.timelineAxis;
+    el.innerHTML = '';
+    const rough = (to - from) / 8;
+    const unit = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = unit * ([1, 2, 5].find(f => f * unit >= rough) || 10);
+    for (let t = Math.ceil(from / step) * step; t <= to; t += step) {
+      const tick = document.createElement('div');
+      tick.className = 'tick';
+      tick.style.left = `${(t - from) / (to - from) * 100}%`;
+      tick.textContent = t > 0 ? prettyYears(t) : '0';
+      el.appendChild(tick);
+    }
   }
 
-  // Fate scale rendering
+  // Fate scale rendering: initial mass on a log axis, from brown dwarfs to the heaviest stars
   function renderMassScale(currentMass) {
     const el = els.massScale;
-    const minM = 0.1, maxM = 50;
-    const scaleWidth = el.clientWidth || 300;
+    const percentFor = (m) => Math.log10(m / MIN_MASS) / Math.log10(MAX_MASS / MIN_MASS) * 100;
     el.innerHTML = '';
 
-    function placeZone(m0, m1, cls) {
-      const left = ((m0 - minM) / (maxM - minM)) * 100;
-      const width = ((m1 - m0) / (maxM - minM)) * 100;
+    // Zone boundaries move with metallicity
+    for (const zone of fateZones(sim.metallicity)) {
       const div = document.createElement('div');
-      div.className = `zone ${cls}`;
-      div.style.left = `${left}%`;
-      div.style.width = `${width}%`;
+      div.className = `zone ${zone.endState}`;
+      div.style.left = `${percentFor(zone.from)}%`;
+      div.style.width = `${percentFor(zone.to) - percentFor(zone.from)}%`;
+      div.title = `${END_STATES[zone.endState]}: ${prettyMass(zone.from)}–${prettyMass(zone.to)} M☉`;
       el.appendChild(div);
     }
 
-    placeZone(minM, WD_MAX, 'wd');
-    placeZone(WD_MAX, NS_MAX, 'ns');
-    placeZone(NS_MAX, maxM, 'bh');
+    for (const m of [0.1, 1, 10, 100]) {
+      const tick = document.createElement('div');
+      tick.className = 'tick';
+      tick.style.left = `${percentFor(m)}%`;
+      tick.textContent = String(m);
+      el.appendChild(tick);
+    }
 
     const marker = document.createElement('div');
     marker.className = 'marker';
-    const left = ((currentMass - minM) / (maxM - minM)) * 100;
-    marker.style.left = `${clamp(left, 0, 100)}%`;
+    marker.style.left = `${clamp(percentFor(currentMass), 0, 100)}%`;
     el.appendChild(marker);
   }
 
   // UI syncing helpers
+  function prettyMass(m) {
+    return fmt(m, m < 0.1 ? 3 : m < 100 ? 2 : 0);
+  }
+
+  // Mass sliders work in log10(M/M☉), so brown dwarfs and the heaviest stars share one control
+  function massFromSlider(v) {
+    return clamp(Math.pow(10, v), MIN_MASS, MAX_MASS);
+  }
+
   function syncMassInputs(which) {
     if (which === 'primary') {
-      const v = parseFloat(els.massPrimary.value);
-      els.massPrimaryInput.value = fmt(v, 2);
+      els.massPrimaryInput.value = prettyMass(massFromSlider(parseFloat(els.massPrimary.value)));
     } else {
-      const v = parseFloat(els.massSecondary.value);
-      els.massSecondaryInput.value = fmt(v, 2);
+      els.massSecondaryInput.value = prettyMass(massFromSlider(parseFloat(els.massSecondary.value)));
     }
   }
 
+  function setMassControls(which, m) {
+    const slider = which === 'primary' ? els.massPrimary : els.massSecondary;
+    slider.value = String(Math.log10(clamp(m, MIN_MASS, MAX_MASS)));
+    syncMassInputs(which);
+  }
+
+  // Metallicity slider works in log10(Z/Z☉); its left end means metal-free (Z = 0)
+  const Z_SLIDER_MIN = -5;
+  function zFromSlider(v) {
+    return v <= Z_SLIDER_MIN ? 0 : Z_SUN * Math.pow(10, v);
+  }
+  function zToSlider(z) {
+    return z <= 0 ? Z_SLIDER_MIN : clamp(Math.log10(z / Z_SUN), Z_SLIDER_MIN, 0.3);
+  }
+
+  function setMetallicity(z) {
+    const v = clamp(Number.isFinite(z) ? z : Z_SUN, 0, 0.04);
+    els.metallicity.value = String(zToSlider(v));
+    els.metallicityInput.value = fmt(v, 4);
+    els.populationLabel.textContent = v > 0
+      ? `${populationForZ(v)} · Z = ${fmt(v, 4)} (${fmt(v / Z_SUN, v < Z_SUN * 0.01 ? 4 : 2)} Z☉)`
+      : `${populationForZ(v)} · Z = 0 (metal-free)`;
+    sim.setMetallicity(v);
+  }
+
   function setBinaryEnabled(enabled) {
-    state.binary = enabled;
+    sim.binary = enabled;
     els.binaryControls.classList.toggle('hidden', !enabled);
     els.secondaryCard.style.display = enabled ? 'block' : 'none';
     els.timelineSecondary.style.display = enabled ? 'block' : 'none';
+    els.planetHost.querySelector('[value="secondary"]').disabled = !enabled;
+    if (!enabled) els.planetHost.value = 'primary';
   }
 
-  // Simulation loop
+  // Simulation loop. Forward playback runs the physics in fixed ticks of wall-clock time, each
+  // split into event-driven sub-steps, so the outcome does not depend on the display's frame rate.
+  const PHYSICS_HZ = 60;
+  const TICK_MS = 1000 / PHYSICS_HZ;
+  const MAX_FRAME_MS = 250; // longer gaps (a hidden tab) are not caught up
   let lastTs = 0;
+  let tickFrame = 0;
+  let tickBacklogMs = 0; // wall-clock time not yet simulated, less than one tick
   function tick(ts) {
     if (!state.running) return;
     if (!lastTs) lastTs = ts;
-    const dtMs = ts - lastTs;
+    const dtMs = Math.min(ts - lastTs, MAX_FRAME_MS);
     lastTs = ts;
 
-    // Determine dtYears according to scaling
-    const s1 = state.star1;
-    const lifetime = s1.tTotal; // use primary lifetime for autoscale
-    let dtYears;
-    if (els.autoScale.checked) {
-      // about 60 seconds total for the star's lifetime
-      const secondsForLifetime = 60;
-      const yearsPerSecond = lifetime / secondsForLifetime;
-      dtYears = (dtMs / 1000) * yearsPerSecond;
+    if (state.direction < 0) {
+      // Go back through the history
+      rewindTime(yearsPerSecond() * dtMs / 1000);
     } else {
-      dtYears = (dtMs / 1000) * state.speed * 1e7; // adjustable arbitrary scale
+      tickBacklogMs += dtMs;
+      state.batching = true;
+      try {
+        while (tickBacklogMs >= TICK_MS) {
+          advanceTime(yearsPerSecond() / PHYSICS_HZ, TICK_MS);
+          tickBacklogMs -= TICK_MS;
+        }
+      } finally {
+        state.batching = false;
+      }
+      updateUI();
     }
+    if (state.running) tickFrame = requestAnimationFrame(tick);
+  }
+
+  // Simulated years per second of playback
+  function yearsPerSecond() {
+    // Auto-scale: about 60 seconds for the system's lifetime
+    if (els.autoScale.checked) return sim.lifetimeYears / 60;
+    return state.speed * 1e7; // adjustable arbitrary scale
+  }
+
+  // Play forward (1), in reverse (-1) or pause (0)
+  function setPlayback(direction) {
+    const wasRunning = state.running;
+    state.running = direction !== 0;
+    if (state.running) state.direction = direction;
+    els.playPause.textContent = state.running && state.direction > 0 ? 'Pause' : 'Play';
+    els.reverse.textContent = state.running && state.direction < 0 ? 'Pause' : 'Reverse';
+    if (state.running && !wasRunning) {
+      lastTs = 0;
+      tickBacklogMs = 0;
+      cancelAnimationFrame(tickFrame); // a frame still pending from before a pause
+      tickFrame = requestAnimationFrame(tick);
+    }
+  }
 
-    // Advance ages (both stars age together for simplicity)
-    advanceTime(dtYears, dtMs);
-    requestAnimationFrame(tick);
+  // Reverse playback: the recorded state dtYears earlier, stopping where the history starts.
+  // The playhead moves smoothly while the state shown jumps from one recorded step to the last.
+  function rewindTime(dtYears) {
+    const start = runHistory.startAge();
+    if (!state.rewind || state.rewind.shownAge !== sim.t) state.rewind = { ageYears: sim.t };
+    const ageYears = Math.max(state.rewind.ageYears - dtYears, start);
+    setSimulationAge(ageYears);
+    state.rewind = { ageYears, shownAge: sim.t };
+    if (ageYears <= start) setPlayback(0);
   }
 
   function advanceTime(dtYears, dtMs = 0) {
-    state.t += dtYears;
-
-    const stars = [state.star1, ...(state.binary ? [state.star2] : [])];
-    for (const star of stars) {
-      if (!star.ended) {
-        star.age += dtYears;
-        if (star.age >= star.tTotal) {
-          star.age = star.tTotal;
-          star.ended = true;
-          star.collapseAnimating = true;
-          star.collapseProgress = 0;
-          star.justEnded = true; // used to spawn supernova with world position in draw pass
-        }
-      } else if (star.collapseAnimating) {
-        star.collapseProgress += dtMs / 2000; // 2s collapse animation
-        if (star.collapseProgress >= 1) {
-          star.collapseProgress = 1;
-          star.collapseAnimating = false;
+    // Collapse animations run on wall-clock time for stars that had already ended
+    for (const star of sim.stars) {
+      const vis = visualFor(star);
+      if (star.ended && vis.collapseAnimating) {
+        vis.collapseProgress += dtMs / 2000; // 2s collapse animation
+        if (vis.collapseProgress >= 1) {
+          vis.collapseProgress = 1;
+          vis.collapseAnimating = false;
         }
       }
     }
 
-    // Mass transfer occurs after stage growth updates (radii change with mass)
-    doMassTransfer(dtYears);
-
     // Update supernova explosions
     updateExplosions(dtMs);
 
-    updateUI();
+    // Physics sub-steps, recorded for rewinding
+    runHistory.advance(dtYears);
+  }
+
+  function prettyPeriod(years) {
+    const days = years * 365.25;
+    if (days < 1) return `${fmt(days * 24, 1)} h`;
+    if (days < 365.25) return `${fmt(days, 1)} d`;
+    return `${fmt(years, 2)} yr`;
+  }
+
+  // Gravitational-wave merger times span from seconds to far beyond the age of the Universe
+  function prettyMergerTime(years) {
+    if (years > 1e12) return `${years.toExponential(1)} yr (never, in practice)`;
+    if (years < 1e3) return `${fmt(years, years < 10 ? 2 : 0)} yr`;
+    return prettyYears(years);
+  }
+
+  // Remnant type with its mass; "≈" while the star is still alive and the mass is a prediction
+  function fateLabel(star) {
+    const { fate, mass, endState } = remnantForStar(star);
+    if (endState === 'pisn') return star.ended ? 'Destroyed (pair-instability supernova)' : 'None (pair-instability supernova)';
+    if (fate === 'No Remnant') return 'Destroyed (Type Ia supernova)';
+    const route = endState === 'dc' ? ', direct collapse' : endState === 'ppisn' ? ', after pair-instability pulses' : '';
+    return `${fate} (${star.ended ? '' : '≈'}${fmt(mass, 2)} M☉${route})`;
+  }
+
+  // Magnitudes, what it takes to see the system and whether a binary can be split
+  function updateObserverReadouts() {
+    const stars = observedStars(sim, state.observer);
+    els.distanceModulus.textContent = fmt(distanceModulus(state.observer.distancePc), 2);
+    if (!stars.length) {
+      els.apparentMag.textContent = '—';
+      els.absoluteMag.textContent = '—';
+      els.visibility.textContent = 'Not visible (remnant)';
+      els.angularSeparation.textContent = '—';
+      return;
+    }
+    const apparent = combinedMagnitude(stars.map(s => s.apparent));
+    const absolute = combinedMagnitude(stars.map(s => s.absolute));
+    const both = stars.length > 1 ? ' (combined)' : '';
+    els.apparentMag.textContent = `${fmt(apparent, 2)}${both}`;
+    els.absoluteMag.textContent = `${fmt(absolute, 2)}${both}`;
+    const instrument = instrumentFor(apparent);
+    els.visibility.textContent = instrument ? instrument.label : 'Too faint';
+    if (stars.length < 2 || sim.unbound) {
+      els.angularSeparation.textContent = '—';
+      return;
+    }
+    const arcsec = angularSeparationArcsec(sim.separationAU, state.observer.distancePc);
+    const splitter = resolvingInstrument(arcsec, Math.max(...stars.map(s => s.apparent)));
+    const shown = arcsec >= 1 ? `${fmt(arcsec, 1)}″` : arcsec >= 1e-3 ? `${fmt(arcsec * 1000, 1)} mas` : `${arcsec.toExponential(1)}″`;
+    els.angularSeparation.textContent = `${shown} · ${splitter ? `resolved with ${splitter.label.toLowerCase()}` : 'unresolved'}`;
+  }
+
+  // B−V of a shining star ('—' for remnants and brown-dwarf temperatures)
+  function colorIndexLabel(star, T) {
+    const bv = star.ended ? null : colorIndexBV(T);
+    return bv === null ? '—' : fmt(bv, 2);
+  }
+
+  // Spin periods run from milliseconds (pulsars) to months (slow dwarfs)
+  function prettySpinPeriod(seconds) {
+    if (seconds < 1) return `${fmt(seconds * 1000, seconds < 0.01 ? 2 : 1)} ms`;
+    if (seconds < 3600) return `${fmt(seconds, 1)} s`;
+    return prettyPeriod(seconds / YEAR_S);
+  }
+
+  // Rotation: period and equatorial speed of a star, period, Ṗ and field of a neutron star,
+  // spin a* of a black hole
+  function rotationLabel(star) {
+    if (star.ended && star.fate === 'Black Hole') return star.bhSpin === null ? '—' : `a* = ${fmt(star.bhSpin, 2)}`;
+    const period = rotationPeriodSeconds(star);
+    if (!Number.isFinite(period)) return '—';
+    if (star.ended && star.fate === 'Neutron Star') {
+      const pulsar = isActivePulsar(star) ? ' · pulsar' : '';
+      return `${prettySpinPeriod(period)} · Ṗ ${star.spinPdot.toExponential(1)} · ${star.magneticFieldG.toExponential(1)} G${pulsar}`;
+    }
+    return `${prettySpinPeriod(period)} · ${fmt(equatorialVelocityKms(star), 1)} km/s`;
+  }
+
+  // Accretion onto a remnant: current rate and the number of novae so far
+  function accretionLabel(star) {
+    const parts = [];
+    if (star.accretionRate > 0) parts.push(`${star.accretionRate.toExponential(1)} M☉/yr`);
+    if (star.novae > 0) parts.push(`${star.novae.toLocaleString('en-US')} nova${star.novae === 1 ? '' : 'e'}`);
+    return parts.length ? parts.join(' · ') : '—';
+  }
+
+  // Power radiated by accretion onto a remnant, as a share of its Eddington luminosity
+  function accretionLuminosityLabel(star) {
+    if (!(star.accretionLuminosity > 0)) return '—';
+    const eddPct = star.accretionLuminosity / eddingtonLuminosityLsun(star.massCurrent) * 100;
+    const kind = star.fate === 'White Dwarf' ? '' : ' · X-ray binary';
+    const capped = star.eddingtonLimited ? ', capped' : '';
+    return `${fmt(star.accretionLuminosity, 0)} L☉ (${fmt(eddPct, eddPct < 1 ? 2 : 0)}% L_Edd${capped})${kind}`;
+  }
+
+  // Readouts of one star's card; which is 'Primary' or 'Secondary'
+  function updateStarCard(star, which) {
+    const show = (key, text) => { els[key].textContent = text; };
+    const sp = starParams(star);
+    show(`stage${which}`, sp.stage);
+    show(`mass${which}Out`, `${fmt(star.massCurrent, 2)} M☉`);
+    show(`fate${which}`, fateLabel(star));
+    if (!isFormed(star)) {
+      // Nothing to measure until the star forms
+      show(`age${which}`, `forms in ${prettyYears(-star.age)}`);
+      for (const key of ['luminosity', 'radius', 'temp', 'spectral', 'colorIndex', 'rotation', 'core', 'accretion', 'accretionLum']) show(`${key}${which}`, '—');
+      return;
+    }
+    show(`age${which}`, prettyYears(star.age));
+    show(`luminosity${which}`, `${fmt(sp.L, 2)} L☉`);
+    show(`radius${which}`, `${fmt(sp.R, 2)} R☉`);
+    show(`temp${which}`, `${Math.round(sp.T)} K`);
+    show(`spectral${which}`, spectralType(star) || '—');
+    show(`colorIndex${which}`, colorIndexLabel(star, sp.T));
+    show(`rotation${which}`, rotationLabel(star));
+    show(`core${which}`, `${fmt(star.massCore, 2)} M☉`);
+    show(`accretion${which}`, accretionLabel(star));
+    show(`accretionLum${which}`, accretionLuminosityLabel(star));
   }
 
   // UI update
   function updateUI() {
-    // Readouts primary
-    const p = state.star1;
-    const pp = updateStarParams(p);
-    els.stagePrimary.textContent = pp.stage;
-    els.massPrimaryOut.textContent = `${fmt(p.massCurrent, 2)} M☉`;
-    els.luminosityPrimary.textContent = `${fmt(pp.L, 2)} L☉`;
-    els.radiusPrimary.textContent = `${fmt(pp.R, 2)} R☉`;
-    els.tempPrimary.textContent = `${Math.round(pp.T)} K`;
-    els.fatePrimary.textContent = p.fate;
-
-    // Secondary
-    if (state.binary) {
-      const s = state.star2;
-      const sp = updateStarParams(s);
-      els.stageSecondary.textContent = sp.stage;
-      els.massSecondaryOut.textContent = `${fmt(s.massCurrent, 2)} M☉`;
-      els.luminositySecondary.textContent = `${fmt(sp.L, 2)} L☉`;
-      els.radiusSecondary.textContent = `${fmt(sp.R, 2)} R☉`;
-      els.tempSecondary.textContent = `${Math.round(sp.T)} K`;
-      els.fateSecondary.textContent = s.fate;
+    updateStarCard(sim.star1, 'Primary');
+    if (sim.binary) {
+      updateStarCard(sim.star2, 'Secondary');
+      if (sim.merged) {
+        els.stageSecondary.textContent = 'Merged';
+        els.fateSecondary.textContent = 'Merged into primary';
+      }
     }
 
-    // Age and lifetime
-    els.ageLabel.textContent = prettyYears(state.star1.age);
-    els.lifetimeLabel.textContent = prettyYears(state.star1.tTotal);
+    // Orbit
+    if (sim.merged || sim.unbound) {
+      els.separationNowLabel.textContent = sim.merged ? '— (merged)' : '— (unbound)';
+      els.periodLabel.textContent = '—';
+      els.eccentricityNowLabel.textContent = '—';
+      els.gwMergerLabel.textContent = '—';
+    } else if (sim.binary) {
+      els.eccentricityNowLabel.textContent = fmt(sim.eccentricity, 2);
+      els.gwMergerLabel.textContent = sim.isCompactBinary ? prettyMergerTime(sim.gwMergerTimeYears) : '—';
+      els.separationNowLabel.textContent = `${fmt(sim.separationAU, sim.separationAU < 0.1 ? 4 : 2)} AU`;
+      els.periodLabel.textContent = prettyPeriod(sim.periodYears);
+    }
+
+    updateEjectaCard();
+    updatePlanetList();
 
-    const progress = clamp(state.star1.age / state.star1.tTotal, 0, 1) * 100;
+    // System age and lifetime
+    const lifetime = sim.lifetimeYears;
+    els.ageLabel.textContent = prettyYears(sim.t);
+    els.lifetimeLabel.textContent = prettyYears(lifetime);
+
+    const progress = clamp(sim.t / lifetime, 0, 1) * 100;
     els.progressBar.style.width = `${progress}%`;
 
     // Canvas
     drawStars();
 
-    // Timelines
-    renderTimeline(els.timelinePrimary, state.star1);
-    if (state.binary) renderTimeline(els.timelineSecondary, state.star2);
+    // HR diagram, spectra, property charts and gravitational waves
+    hr.draw();
+    spectrum.draw();
+    sky.draw();
+    updateObserverReadouts();
+    charts.draw();
+    chirp.draw();
+    ppdot.draw();
+
+    // Timelines on their shared age axis
+    renderTimelines();
 
     // Fate scale
-    renderMassScale(state.star1.massCurrent);
+    renderMassScale(sim.star1.massCurrent);
 
     // Speed label
     els.speedLabel.textContent = `${fmt(state.speed, 1)}×`;
   }
 
-  function prettyYears(years) {
-    if (years < 1e6) return `${fmt(years / 1e3, 1)} kyr`;
-    if (years < 1e9) return `${fmt(years / 1e6, 1)} Myr`;
-    return `${fmt(years / 1e9, 2)} Gyr`;
-  }
-
   // Event wiring
   function wireEvents() {
     // Mass primary
     els.massPrimary.addEventListener('input', () => {
       syncMassInputs('primary');
-      const m = parseFloat(els.massPrimary.value);
-      state.star1 = makeStar(m);
-      if (!state.binary) state.star2 = makeStar(state.star2.massCurrent);
+      const m = massFromSlider(parseFloat(els.massPrimary.value));
+      sim.setPrimaryMass(m);
       updateUI();
     });
     els.massPrimaryInput.addEventListener('change', () => {
-      const v = clamp(parseFloat(els.massPrimaryInput.value), 0.1, 50);
-      els.massPrimary.value = String(v);
-      state.star1 = makeStar(v);
+      const v = clamp(parseFloat(els.massPrimaryInput.value), MIN_MASS, MAX_MASS);
+      els.massPrimary.value = String(Math.log10(v));
+      sim.setPrimaryMass(v);
+      updateUI();
+    });
+
+    // Metallicity
+    els.metallicity.addEventListener('input', () => {
+      setMetallicity(zFromSlider(parseFloat(els.metallicity.value)));
+      updateUI();
+    });
+    els.metallicityInput.addEventListener('change', () => {
+      setMetallicity(parseFloat(els.metallicityInput.value));
       updateUI();
     });
+    document.querySelectorAll('[data-population]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        setMetallicity(POPULATIONS[btn.dataset.population]);
+        updateUI();
+      });
+    });
 
     // Binary toggle
     els.binaryToggle.addEventListener('change', () => {
+      sim.setBinary(els.binaryToggle.checked);
       setBinaryEnabled(els.binaryToggle.checked);
       updateUI();
     });
@@ -761,29 +1915,41 @@
     // Secondary mass
     els.massSecondary.addEventListener('input', () => {
       syncMassInputs('secondary');
-      const m = parseFloat(els.massSecondary.value);
-      state.star2 = makeStar(m);
+      const m = massFromSlider(parseFloat(els.massSecondary.value));
+      sim.setSecondaryMass(m);
       updateUI();
     });
     els.massSecondaryInput.addEventListener('change', () => {
-      const v = clamp(parseFloat(els.massSecondaryInput.value), 0.1, 50);
-      els.massSecondary.value = String(v);
-      state.star2 = makeStar(v);
+      const v = clamp(parseFloat(els.massSecondaryInput.value), MIN_MASS, MAX_MASS);
+      els.massSecondary.value = String(Math.log10(v));
+      sim.setSecondaryMass(v);
       updateUI();
     });
 
+    // Formation delays (Myr); changing one restarts the system
+    const applyFormation = () => {
+      const primary = clamp(parseFloat(els.formationPrimary.value) || 0, 0, MAX_FORMATION_MYR);
+      const secondary = clamp(parseFloat(els.formationSecondary.value) || 0, 0, MAX_FORMATION_MYR);
+      els.formationPrimary.value = String(primary);
+      els.formationSecondary.value = String(secondary);
+      sim.setFormationDelays(primary * MYR, secondary * MYR);
+      updateUI();
+    };
+    els.formationPrimary.addEventListener('change', applyFormation);
+    els.formationSecondary.addEventListener('change', applyFormation);
+
     // Separation
     const applySep = () => {
       const v = clamp(parseFloat(els.separation.value), 0.01, 10);
       els.separationInput.value = fmt(v, 2);
-      state.separationAU = v;
+      sim.setSeparation(v);
       updateUI();
     };
     els.separation.addEventListener('input', applySep);
     els.separationInput.addEventListener('change', () => {
       const v = clamp(parseFloat(els.separationInput.value), 0.01, 10);
       els.separation.value = String(v);
-      state.separationAU = v;
+      sim.setSeparation(v);
       updateUI();
     });
 
@@ -791,13 +1957,77 @@
     const applyRate = () => {
       const v = clamp(parseFloat(els.transferRate.value), 0, 0.2);
       els.transferRateInput.value = fmt(v, 3);
-      state.transferRatePerYear = v / MYR;
+      sim.transferRatePerYear = v / MYR;
     };
     els.transferRate.addEventListener('input', applyRate);
     els.transferRateInput.addEventListener('change', () => {
       const v = clamp(parseFloat(els.transferRateInput.value), 0, 0.2);
       els.transferRate.value = String(v);
-      state.transferRatePerYear = v / MYR;
+      sim.transferRatePerYear = v / MYR;
+    });
+
+    // Eccentricity (physics) and orbit view
+    const applyEcc = (v) => {
+      const e = clamp(Number.isFinite(v) ? v : 0, 0, 0.9);
+      els.eccentricity.value = String(e);
+      els.eccentricityInput.value = fmt(e, 2);
+      sim.setEccentricity(e);
+      updateUI();
+    };
+    els.eccentricity.addEventListener('input', () => applyEcc(parseFloat(els.eccentricity.value)));
+    els.eccentricityInput.addEventListener('change', () => applyEcc(parseFloat(els.eccentricityInput.value)));
+    els.inclination.addEventListener('input', () => {
+      state.orbit.inclinationDeg = clamp(parseFloat(els.inclination.value), 0, 90);
+      els.inclinationLabel.textContent = `${Math.round(state.orbit.inclinationDeg)}°`;
+      updateUI();
+    });
+    els.orbitSeconds.addEventListener('input', () => {
+      state.orbit.secondsPerOrbit = clamp(parseFloat(els.orbitSeconds.value), 1, 30);
+      els.orbitSecondsLabel.textContent = `${fmt(state.orbit.secondsPerOrbit, 0)} s`;
+    });
+
+    // Transfer mode and mass-loss fraction
+    els.transferMode.addEventListener('change', () => {
+      sim.transferMode = els.transferMode.value;
+      els.lossFractionControl.classList.toggle('hidden', sim.transferMode === 'conservative');
+    });
+    els.lossFraction.addEventListener('input', () => {
+      const v = clamp(parseFloat(els.lossFraction.value), 0, 1);
+      els.lossFractionInput.value = fmt(v, 2);
+      sim.massLossFraction = v;
+    });
+    els.lossFractionInput.addEventListener('change', () => {
+      const v = clamp(parseFloat(els.lossFractionInput.value), 0, 1);
+      els.lossFraction.value = String(v);
+      sim.massLossFraction = v;
+    });
+
+    // Common-envelope efficiency and binding parameter
+    els.ceAlpha.addEventListener('change', () => {
+      const v = clamp(parseFloat(els.ceAlpha.value) || 1, 0.1, 5);
+      els.ceAlpha.value = String(v);
+      sim.ceAlpha = v;
+    });
+    els.ceLambda.addEventListener('change', () => {
+      const v = clamp(parseFloat(els.ceLambda.value) || 0.5, 0.05, 2);
+      els.ceLambda.value = String(v);
+      sim.ceLambda = v;
+    });
+
+    // Supernova natal kicks
+    els.kickDistribution.addEventListener('change', () => {
+      sim.kickDistribution = els.kickDistribution.value;
+      els.kickSigma.disabled = sim.kickDistribution === 'none';
+    });
+    els.kickSigma.addEventListener('change', () => {
+      const v = clamp(parseFloat(els.kickSigma.value) || 0, 0, 2000);
+      els.kickSigma.value = String(v);
+      sim.kickSigmaKms = v;
+    });
+    els.kickSeed.addEventListener('change', () => {
+      const v = Math.max(0, Math.floor(parseFloat(els.kickSeed.value) || 0));
+      els.kickSeed.value = String(v);
+      sim.setSeed(v);
     });
 
     // Speed
@@ -807,37 +2037,98 @@
       els.speedLabel.textContent = `${fmt(v, 1)}×`;
     });
 
-    // Play/pause
-    els.playPause.addEventListener('click', () => {
-      state.running = !state.running;
-      els.playPause.textContent = state.running ? 'Pause' : 'Play';
-      if (state.running) {
-        lastTs = 0;
-        requestAnimationFrame(tick);
-      }
-    });
+    // Play/pause, forward or in reverse
+    els.playPause.addEventListener('click', () => setPlayback(state.running && state.direction > 0 ? 0 : 1));
+    els.reverse.addEventListener('click', () => setPlayback(state.running && state.direction < 0 ? 0 : -1));
 
     // Reset
     els.reset.addEventListener('click', () => {
-      const m1 = parseFloat(els.massPrimary.value);
-      const m2 = parseFloat(els.massSecondary.value);
-      state.star1 = makeStar(m1);
-      state.star2 = makeStar(m2);
-      state.t = 0;
-      state.running = false;
-      els.playPause.textContent = 'Play';
+      const m1 = massFromSlider(parseFloat(els.massPrimary.value));
+      const m2 = massFromSlider(parseFloat(els.massSecondary.value));
+      sim.reset(m1, m2);
+      setPlayback(0);
       // Reset camera
-      state.camera.zoom = 1; state.camera.offsetX = 0; state.camera.offsetY = 0;
+      resetCamera();
       updateUI();
     });
 
-    // Presets
-    if (!state.presetsBound) {
-      document.querySelectorAll('.presets [data-preset]').forEach(btn => {
-        btn.addEventListener('click', () => applyPreset(btn.dataset.preset));
-      });
-      state.presetsBound = true;
-    }
+    // Timelines
+    wireTimelineInteractivity(els.timelinePrimary);
+    wireTimelineInteractivity(els.timelineSecondary);
+    els.timelineZoomIn.addEventListener('click', () => zoomTimeline(1 / TIMELINE_ZOOM_STEP, sim.t));
+    els.timelineZoomOut.addEventListener('click', () => zoomTimeline(TIMELINE_ZOOM_STEP, sim.t));
+    els.timelineZoomFit.addEventListener('click', () => {
+      state.timelineView = null;
+      renderTimelines();
+    });
+
+    // Planets
+    els.addPlanet.addEventListener('click', () => {
+      const orbitAU = parseFloat(els.planetOrbit.value);
+      if (!(orbitAU > 0)) return;
+      const name = els.planetName.value.trim() || `Planet ${sim.planets.length + 1}`;
+      sim.addPlanet({ name, host: els.planetHost.value, orbitAU });
+      els.planetName.value = `Planet ${String.fromCharCode(98 + sim.planets.length % 25)}`;
+      renderPlanetList();
+      updateUI();
+    });
+    els.planetList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-remove-planet]');
+      if (!btn) return;
+      sim.removePlanet(sim.planets[Number(btn.dataset.removePlanet)]);
+      renderPlanetList();
+      updateUI();
+    });
+    els.showHabitableZone.addEventListener('change', () => drawStars());
+
+    // Scenarios
+    els.exportScenario.addEventListener('click', exportScenario);
+    els.importScenario.addEventListener('click', () => els.scenarioFile.click());
+    els.scenarioFile.addEventListener('change', () => {
+      const file = els.scenarioFile.files[0];
+      if (file) importScenarioFile(file);
+      els.scenarioFile.value = '';
+    });
+    els.shareScenario.addEventListener('click', shareScenario);
+    window.addEventListener('hashchange', loadScenarioFromHash);
+
+    // Observer distance and extinction
+    els.distancePc.addEventListener('change', () => {
+      const d = clamp(parseFloat(els.distancePc.value) || 10, 1, 1e6);
+      els.distancePc.value = String(d);
+      state.observer.distancePc = d;
+      updateUI();
+    });
+    els.extinction.addEventListener('change', () => {
+      const av = clamp(parseFloat(els.extinction.value) || 0, 0, 30);
+      els.extinction.value = String(av);
+      state.observer.extinctionMag = av;
+      updateUI();
+    });
+
+    // Preset menu
+    els.presetMenuButton.addEventListener('click', () => setPresetMenuOpen(els.presetMenu.classList.contains('hidden')));
+    document.addEventListener('click', (e) => {
+      if (!els.presetMenu.classList.contains('hidden') && !e.target.closest('.presets')) setPresetMenuOpen(false);
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !els.presetMenu.classList.contains('hidden')) {
+        setPresetMenuOpen(false);
+        els.presetMenuButton.focus();
+      }
+    });
+    els.presetList.addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      if (btn.dataset.presetApply) applyPreset(btn.dataset.presetApply);
+      else if (btn.dataset.presetRename) renameUserPreset(btn.dataset.presetRename);
+      else if (btn.dataset.presetMove) moveUserPreset(btn.dataset.presetMove);
+      else if (btn.dataset.presetDelete) deleteUserPreset(btn.dataset.presetDelete);
+    });
+    els.presetSaveForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      saveCurrentPreset();
+    });
 
     // Resize redraw
     window.addEventListener('resize', () => updateUI());
@@ -859,16 +2150,29 @@
       state.camera.panStartY = e.clientY;
       state.camera.offsetX += dx;
       state.camera.offsetY += dy;
-      if (Math.hypot(dx, dy) > 3) state.camera.didDrag = true;
+      if (Math.hypot(dx, dy) > 3) {
+        state.camera.didDrag = true;
+        state.camera.follow = null; // manual pan ends star tracking
+      }
       updateUI();
     });
     window.addEventListener('mouseup', (e) => {
       const wasDragging = state.camera.isPanning;
       state.camera.isPanning = false;
       canvas.classList.remove('grabbing');
-      // If it was a click (no drag), focus on nearest star
+      // A click (no drag) on a nebula or remnant opens its readout; otherwise focus the nearest star
       if (wasDragging && !state.camera.didDrag) {
-        focusOnNearestStar(e);
+        const rect = canvas.getBoundingClientRect();
+        const sx = rect.width ? canvas.width / rect.width : 1;
+        const sy = rect.height ? canvas.height / rect.height : 1;
+        const mx = (e.clientX - rect.left) * sx;
+        const my = (e.clientY - rect.top) * sy;
+        const nearStar = starPositionsWorld().some(p => {
+          const [px, py] = worldToScreen(p.wx, p.wy);
+          return Math.hypot(mx - px, my - py) < 15;
+        });
+        state.selectedEjecta = nearStar ? null : pickEjecta(mx, my);
+        if (state.selectedEjecta) updateUI(); else focusOnNearestStar(e);
       }
     });
     canvas.addEventListener('wheel', (e) => {
@@ -896,13 +2200,21 @@
 
     // Keyboard zoom shortcuts
     window.addEventListener('keydown', (e) => {
+      // Keys typed into a field are text, not camera shortcuts
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
       if (e.key === '+') { adjustZoom(1.2); }
       if (e.key === '-' || e.key === '_') { adjustZoom(1/1.2); }
-      if (e.key === '0') { state.camera.zoom = 1; state.camera.offsetX = 0; state.camera.offsetY = 0; updateUI(); }
+      if (e.key === '0') { resetCamera(); updateUI(); }
       if (e.key.toLowerCase() === 'f') { framePrimary(); }
     });
   }
 
+  function resetCamera() {
+    state.camera.zoom = 1; state.camera.offsetX = 0; state.camera.offsetY = 0;
+    state.camera.follow = null;
+  }
+
   function adjustZoom(factor) {
     const canvas = els.starCanvas;
     const rect = canvas.getBoundingClientRect();
@@ -922,14 +2234,7 @@
     const my = e.clientY - rect.top;
 
     // Compute screen positions of stars
-    let positions = [];
-    if (!state.binary) {
-      positions.push({ wx: 0, wy: 0 });
-    } else {
-      const sepWorld = clamp(state.separationAU, 0.05, 10) / 10 * (els.starCanvas.width * 0.7);
-      positions.push({ wx: -sepWorld / 2, wy: 0 });
-      positions.push({ wx: +sepWorld / 2, wy: 0 });
-    }
+    const positions = starPositionsWorld();
     let best = null, bestD = Infinity;
     for (const p of positions) {
       const [sx, sy] = worldToScreen(p.wx, p.wy);
@@ -938,9 +2243,10 @@
     }
     if (!best) return;
 
-    // Center camera on star
+    // Center camera on star and keep following it along its orbit
     state.camera.offsetX += (rect.width / 2 - best.sx);
     state.camera.offsetY += (rect.height / 2 - best.sy);
+    state.camera.follow = best.key;
 
     if (zoomIn) {
       state.camera.zoom = clamp(state.camera.zoom * 1.8, 0.1, 12);
@@ -952,75 +2258,432 @@
     // Zoom to frame the primary star nicely
     const targetZoom = 3;
     state.camera.zoom = clamp(targetZoom, 0.1, 12);
-    // center origin
-    const rect = els.starCanvas.getBoundingClientRect();
-    const [sx, sy] = worldToScreen(0, 0);
-    state.camera.offsetX += (rect.width / 2 - sx);
-    state.camera.offsetY += (rect.height / 2 - sy);
+    // center on the primary (moving in binaries)
+    state.camera.follow = 'primary';
     updateUI();
   }
 
+  // Show the system as it was at ageYears (or evolve it there), rebuilt from the run history
   function setSimulationAge(ageYears) {
-    state.star1.age = clamp(ageYears, 0, state.star1.tTotal);
-    if (state.binary) {
-      state.star2.age = clamp(ageYears, 0, state.star2.tTotal);
-    }
-    // Do not auto-run
+    replayTo(ageYears);
+    syncSettingControls();
+    renderPlanetList();
     updateUI();
   }
 
+  // Press to jump, drag to scrub, scroll to zoom. Wired once per track: the tracks' contents
+  // are rebuilt on every redraw but the elements stay.
   function wireTimelineInteractivity(el) {
-    // Click to jump, drag to scrub
     let isDown = false;
-    const onFromEvent = (e) => {
+    const ageAt = (e) => {
       const rect = el.getBoundingClientRect();
-      const x = (e.clientX - rect.left) / rect.width;
-      const frac = clamp(x, 0, 1);
-      const age = frac * state.star1.tTotal; // global simulation age
-      setSimulationAge(age);
+      const { from, to } = timelineRange();
+      return from + clamp((e.clientX - rect.left) / rect.width, 0, 1) * (to - from);
     };
-    el.addEventListener('mousedown', (e) => { isDown = true; onFromEvent(e); });
-    window.addEventListener('mousemove', (e) => { if (isDown) onFromEvent(e); });
+    el.addEventListener('mousedown', (e) => { isDown = true; setSimulationAge(ageAt(e)); });
+    window.addEventListener('mousemove', (e) => { if (isDown) setSimulationAge(ageAt(e)); });
     window.addEventListener('mouseup', () => { isDown = false; });
-    el.addEventListener('click', onFromEvent);
-  }
-
-  function applyPreset(name) {
-    switch (name) {
-      case 'red-dwarf':
-        els.massPrimary.value = '0.2'; syncMassInputs('primary'); state.star1 = makeStar(0.2);
-        els.binaryToggle.checked = false; setBinaryEnabled(false);
-        break;
-      case 'sun':
-        els.massPrimary.value = '1.0'; syncMassInputs('primary'); state.star1 = makeStar(1.0);
-        els.binaryToggle.checked = false; setBinaryEnabled(false);
-        break;
-      case 'massive':
-        els.massPrimary.value = '20'; syncMassInputs('primary'); state.star1 = makeStar(20);
-        els.binaryToggle.checked = false; setBinaryEnabled(false);
-        break;
-      case 'binary-rlof':
-        els.massPrimary.value = '1.2'; syncMassInputs('primary'); state.star1 = makeStar(1.2);
-        els.binaryToggle.checked = true; setBinaryEnabled(true);
-        els.massSecondary.value = '0.8'; syncMassInputs('secondary'); state.star2 = makeStar(0.8);
-        els.separation.value = '0.2'; els.separationInput.value = '0.20'; state.separationAU = 0.2;
-        els.transferRate.value = '0.02'; els.transferRateInput.value = '0.020'; state.transferRatePerYear = 0.02 / MYR;
-        break;
-    }
-    state.t = 0; state.running = false; els.playPause.textContent = 'Play';
-    // Reset camera
-    state.camera.zoom = 1; state.camera.offsetX = 0; state.camera.offsetY = 0;
+    el.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      zoomTimeline(e.deltaY < 0 ? 1 / TIMELINE_ZOOM_STEP : TIMELINE_ZOOM_STEP, ageAt(e));
+    }, { passive: false });
+  }
+
+  // Scenarios: the current controls as a versioned object, and back
+
+  function captureScenario() {
+    return {
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      masses: { primary: sim.star1.massInitial, secondary: sim.star2.massInitial },
+      binary: sim.binary,
+      formation: { delayPrimaryYears: sim.formationDelayPrimary, delaySecondaryYears: sim.formationDelaySecondary },
+      metallicity: sim.metallicity,
+      orbit: { separationAU: sim.separationInitialAU, eccentricity: sim.eccentricityInitial },
+      transfer: { ratePerMyr: sim.transferRatePerYear * MYR, mode: sim.transferMode, lossFraction: sim.massLossFraction },
+      commonEnvelope: { alpha: sim.ceAlpha, lambda: sim.ceLambda },
+      kicks: { distribution: sim.kickDistribution, sigmaKms: sim.kickSigmaKms, seed: sim.seed },
+      time: { speed: state.speed, autoScale: els.autoScale.checked, ageYears: sim.t },
+      camera: {
+        zoom: state.camera.zoom,
+        offsetX: state.camera.offsetX,
+        offsetY: state.camera.offsetY,
+        follow: state.camera.follow,
+      },
+      observer: { ...state.observer },
+      planets: sim.planets.map(({ name, host, orbitInitialAU, albedo }) => ({ name, host, orbitAU: orbitInitialAU, albedo })),
+    };
+  }
+
+  // Set every control from a validated scenario, restart and evolve up to its age
+  function applyScenario(scenario) {
+    const { masses, formation, orbit, transfer, commonEnvelope, kicks, time, camera, observer } = scenario;
+    setPlayback(0);
+
+    setMetallicity(scenario.metallicity);
+    setMassControls('primary', masses.primary);
+    setMassControls('secondary', masses.secondary);
+    sim.binary = scenario.binary;
+    sim.formationDelayPrimary = formation.delayPrimaryYears;
+    sim.formationDelaySecondary = formation.delaySecondaryYears;
+    sim.setSeparation(orbit.separationAU);
+    sim.setEccentricity(orbit.eccentricity);
+    sim.transferRatePerYear = transfer.ratePerMyr / MYR;
+    sim.transferMode = transfer.mode;
+    sim.massLossFraction = transfer.lossFraction;
+    sim.ceAlpha = commonEnvelope.alpha;
+    sim.ceLambda = commonEnvelope.lambda;
+    sim.kickDistribution = kicks.distribution;
+    sim.kickSigmaKms = kicks.sigmaKms;
+    sim.setSeed(kicks.seed);
+    syncSettingControls();
+
+    els.speed.value = String(time.speed);
+    state.speed = time.speed;
+    els.autoScale.checked = time.autoScale;
+
+    els.distancePc.value = String(observer.distancePc);
+    els.extinction.value = String(observer.extinctionMag);
+    Object.assign(state.observer, observer);
+
+    sim.clearPlanets();
+    for (const planet of scenario.planets) sim.addPlanet(planet);
+    renderPlanetList();
+
+    sim.reset(masses.primary, masses.secondary);
+    replayTo(time.ageYears);
+    resetCamera();
+    Object.assign(state.camera, camera);
     updateUI();
   }
 
+  // Show the binary, orbit, transfer, common-envelope and kick settings the simulation is using
+  // (they change under the controls when a scrub goes back to before they were edited)
+  function syncSettingControls() {
+    els.binaryToggle.checked = sim.binary;
+    setBinaryEnabled(sim.binary);
+    els.formationPrimary.value = String(sim.formationDelayPrimary / MYR);
+    els.formationSecondary.value = String(sim.formationDelaySecondary / MYR);
+    els.separation.value = String(sim.separationInitialAU);
+    els.separationInput.value = fmt(sim.separationInitialAU, 2);
+    els.eccentricity.value = String(sim.eccentricityInitial);
+    els.eccentricityInput.value = fmt(sim.eccentricityInitial, 2);
+    const ratePerMyr = sim.transferRatePerYear * MYR;
+    els.transferRate.value = String(ratePerMyr);
+    els.transferRateInput.value = fmt(ratePerMyr, 3);
+    els.transferMode.value = sim.transferMode;
+    els.lossFractionControl.classList.toggle('hidden', sim.transferMode === 'conservative');
+    els.lossFraction.value = String(sim.massLossFraction);
+    els.lossFractionInput.value = fmt(sim.massLossFraction, 2);
+    els.ceAlpha.value = String(sim.ceAlpha);
+    els.ceLambda.value = String(sim.ceLambda);
+    els.kickDistribution.value = sim.kickDistribution;
+    els.kickSigma.disabled = sim.kickDistribution === 'none';
+    els.kickSigma.value = String(sim.kickSigmaKms);
+    els.kickSeed.value = String(sim.seed);
+  }
+
+  // Rebuild the run at ageYears from its history. Ages past the recorded end are evolved in
+  // auto-scale-sized steps so binary interactions happen as they would live.
+  const REPLAY_STEPS = 3600; // steps per system lifetime (as auto-scale at 60 fps)
+  const MAX_REPLAY_STEPS = 20000;
+
+  function replayTo(ageYears) {
+    const stepYears = Math.max(sim.lifetimeYears / REPLAY_STEPS, ageYears / MAX_REPLAY_STEPS);
+    state.batching = true;
+    try {
+      runHistory.seek(ageYears, stepYears);
+    } finally {
+      state.batching = false;
+    }
+    // Skip the end-state animations of anything that happened on the way
+    state.explosions = [];
+    for (const star of [sim.star1, sim.star2]) {
+      const vis = visualFor(star);
+      vis.collapseAnimating = false;
+      vis.collapseProgress = star.ended ? 1 : 0;
+      vis.hadSupernova = star.ended;
+      vis.justEnded = false;
+      vis.pendingNova = false;
+      vis.pendingTypeIa = false;
+    }
+    // A snapshot taken after the binary came apart has no fly-apart motion to continue
+    if (sim.isBinary && sim.unbound && !state.orbit.flyApart) startFlyApart(REPLAYED_ESCAPE_KMS);
+  }
+
+  function showScenarioStatus(text, isError = false) {
+    els.scenarioStatus.textContent = text;
+    els.scenarioStatus.classList.toggle('error', isError);
+  }
+
+  // Apply a scenario if it validates; returns whether it did
+  function loadScenario({ scenario, error }, source) {
+    if (error) {
+      showScenarioStatus(`Could not load ${source}: ${error}`, true);
+      return false;
+    }
+    applyScenario(scenario);
+    showScenarioStatus(`Loaded ${source}.`);
+    return true;
+  }
+
+  // The current scenario, checked against the limits a load applies (planets can be added
+  // beyond them), so nothing is exported that could not be loaded back
+  function checkedScenario() {
+    return validateScenario(captureScenario());
+  }
+
+  function exportScenario() {
+    const { scenario, error } = checkedScenario();
+    if (error) {
+      showScenarioStatus(`Could not export: ${error}`, true);
+      return;
+    }
+    const blob = new Blob([scenarioToJSON(scenario)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'stellar-scenario.json';
+    link.click();
+    URL.revokeObjectURL(url);
+    showScenarioStatus('Scenario exported.');
+  }
+
+  function importScenarioFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => loadScenario(parseScenarioJSON(String(reader.result)), file.name);
+    reader.onerror = () => showScenarioStatus(`Could not read ${file.name}.`, true);
+    reader.readAsText(file);
+  }
+
+  // Put the scenario in the address bar (without triggering hashchange) and copy the link
+  function shareScenario() {
+    const { scenario, error } = checkedScenario();
+    if (error) {
+      showScenarioStatus(`Could not share: ${error}`, true);
+      return;
+    }
+    history.replaceState(null, '', scenarioToHash(scenario));
+    const url = window.location.href;
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(
+        () => showScenarioStatus('Link copied to the clipboard.'),
+        () => showScenarioStatus('Link is in the address bar; copy it from there.'),
+      );
+    } else {
+      showScenarioStatus('Link is in the address bar; copy it from there.');
+    }
+  }
+
+  function loadScenarioFromHash() {
+    const result = scenarioFromHash(window.location.hash);
+    if (result) loadScenario(result, 'the scenario in the link');
+  }
+
+  // Preset library: built-in presets plus the user's own, kept in localStorage
+  const presetStorage = (() => {
+    try {
+      return window.localStorage;
+    } catch {
+      return null; // storage blocked by the browser
+    }
+  })();
+
+  function allPresets() {
+    return [...BUILT_IN_PRESETS, ...state.userPresets];
+  }
+
+  function isUserPreset(preset) {
+    return state.userPresets.includes(preset);
+  }
+
+  function setPresetMenuOpen(open) {
+    els.presetMenu.classList.toggle('hidden', !open);
+    els.presetMenuButton.setAttribute('aria-expanded', String(open));
+    if (open) showPresetStatus('');
+  }
+
+  function showPresetStatus(text, isError = false) {
+    els.presetStatus.textContent = text;
+    els.presetStatus.classList.toggle('error', isError);
+  }
+
+  function presetActionButton(label, action, preset) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-tertiary btn-small';
+    btn.dataset[action] = preset.id;
+    btn.textContent = label;
+    btn.setAttribute('aria-label', `${label} ${preset.name}`);
+    return btn;
+  }
+
+  function renderPresetMenu() {
+    els.presetList.innerHTML = '';
+    for (const { category, presets } of groupPresets(allPresets())) {
+      const heading = document.createElement('h3');
+      heading.textContent = category;
+      els.presetList.append(heading);
+      for (const preset of presets) {
+        const row = document.createElement('div');
+        row.className = 'preset-row';
+        const apply = document.createElement('button');
+        apply.type = 'button';
+        apply.className = 'preset-apply';
+        apply.dataset.presetApply = preset.id;
+        const name = document.createElement('strong');
+        name.textContent = preset.name;
+        apply.append(name);
+        if (preset.description) {
+          const description = document.createElement('small');
+          description.textContent = preset.description;
+          apply.append(description);
+        }
+        row.append(apply);
+        if (isUserPreset(preset)) {
+          const actions = document.createElement('div');
+          actions.className = 'preset-actions';
+          actions.append(
+            presetActionButton('Rename', 'presetRename', preset),
+            presetActionButton('Move', 'presetMove', preset),
+            presetActionButton('Delete', 'presetDelete', preset),
+          );
+          row.append(actions);
+        }
+        els.presetList.append(row);
+      }
+    }
+    const categories = [...new Set(state.userPresets.map(p => p.category))];
+    els.presetCategories.innerHTML = '';
+    for (const category of categories) {
+      const option = document.createElement('option');
+      option.value = category;
+      els.presetCategories.append(option);
+    }
+  }
+
+  // Built-in presets start from the start-up controls but keep the current playback speed
+  function presetBase() {
+    return {
+      ...state.defaultScenario,
+      time: { ...state.defaultScenario.time, speed: state.speed, autoScale: els.autoScale.checked },
+    };
+  }
+
+  function applyPreset(id) {
+    const preset = allPresets().find(p => p.id === id);
+    if (!preset) return;
+    setPresetMenuOpen(false);
+    applyScenario(presetScenario(preset, presetBase()));
+    showScenarioStatus(`Loaded preset “${preset.name}”.`);
+  }
+
+  // Write the user's presets back; the list on screen follows either way
+  function storeUserPresets(message) {
+    renderPresetMenu();
+    if (saveUserPresets(presetStorage, state.userPresets)) showPresetStatus(message);
+    else showPresetStatus('Could not store presets in this browser; they will be lost on reload.', true);
+  }
+
+  function saveCurrentPreset() {
+    const name = cleanPresetText(els.presetName.value);
+    if (!name) {
+      showPresetStatus('Give the preset a name.', true);
+      return;
+    }
+    const { scenario, error } = checkedScenario();
+    if (error) {
+      showPresetStatus(`Could not save: ${error}`, true);
+      return;
+    }
+    const preset = makeUserPreset(name, els.presetCategory.value, scenario);
+    state.userPresets.push(preset);
+    els.presetName.value = '';
+    storeUserPresets(`Saved “${preset.name}” in ${preset.category}.`);
+  }
+
+  function userPresetById(id) {
+    return state.userPresets.find(p => p.id === id);
+  }
+
+  function renameUserPreset(id) {
+    const preset = userPresetById(id);
+    if (!preset) return;
+    const name = cleanPresetText(window.prompt('Rename preset', preset.name));
+    if (!name || name === preset.name) return;
+    preset.name = name;
+    storeUserPresets(`Renamed to “${name}”.`);
+  }
+
+  function moveUserPreset(id) {
+    const preset = userPresetById(id);
+    if (!preset) return;
+    const category = cleanPresetText(window.prompt(`Category for “${preset.name}”`, preset.category));
+    if (!category || category === preset.category) return;
+    preset.category = category;
+    storeUserPresets(`Moved “${preset.name}” to ${category}.`);
+  }
+
+  function deleteUserPreset(id) {
+    const preset = userPresetById(id);
+    if (!preset || !window.confirm(`Delete the preset “${preset.name}”?`)) return;
+    state.userPresets = state.userPresets.filter(p => p !== preset);
+    storeUserPresets(`Deleted “${preset.name}”.`);
+  }
+
+  // Orbital phase animation: advances on wall-clock time whether or not the evolution is playing
+  let lastOrbitTs = 0;
+  function orbitLoop(ts) {
+    const dt = lastOrbitTs ? (ts - lastOrbitTs) / 1000 : 0;
+    lastOrbitTs = ts;
+    const fly = state.orbit.flyApart;
+    let moved = false;
+    if (sim.isBinary && sim.unbound && fly) {
+      // Disrupted: the stars coast apart
+      fly.x1 += fly.vx1 * dt; fly.y1 += fly.vy1 * dt;
+      fly.x2 += fly.vx2 * dt; fly.y2 += fly.vy2 * dt;
+      moved = true;
+    } else if (sim.isBinary && !sim.unbound && els.orbitAnimate.checked) {
+      const o = state.orbit;
+      o.meanAnomaly = (o.meanAnomaly + 2 * Math.PI * dt / o.secondsPerOrbit) % (2 * Math.PI);
+      moved = true;
+    }
+    if (sim.planets.length) {
+      advancePlanetPhases(dt);
+      moved = true;
+    }
+    if (sim.stars.some(isActivePulsar)) {
+      advancePulsarPhases(dt);
+      moved = true;
+    }
+    // While playing, tick() redraws every frame anyway
+    if (moved && !state.running) drawStars();
+    requestAnimationFrame(orbitLoop);
+  }
+
   // Initialize UI
   function init() {
     setBinaryEnabled(false);
+    setMetallicity(sim.metallicity);
+    els.transferMode.innerHTML = Object.entries(TRANSFER_MODES)
+      .map(([key, mode]) => `<option value="${key}">${mode.label}</option>`).join('');
+    els.transferMode.value = sim.transferMode;
+    els.lossFractionControl.classList.toggle('hidden', sim.transferMode === 'conservative');
+    els.kickDistribution.innerHTML = Object.entries(KICK_DISTRIBUTIONS)
+      .map(([key, dist]) => `<option value="${key}">${dist.label}</option>`).join('');
+    els.kickDistribution.value = sim.kickDistribution;
+    els.kickSigma.value = String(sim.kickSigmaKms);
+    els.kickSeed.value = String(sim.seed);
     syncMassInputs('primary');
     syncMassInputs('secondary');
     initBackgroundStars();
     wireEvents();
+    state.defaultScenario = captureScenario();
+    state.userPresets = loadUserPresets(presetStorage);
+    renderPresetMenu();
     updateUI();
+    loadScenarioFromHash();
+    requestAnimationFrame(orbitLoop);
   }
 
   init();
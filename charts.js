@@ -0,0 +1,222 @@
+// Time-series charts of mass, luminosity, radius and temperature against system age.
+// Stage intervals and Roche-lobe-overflow episodes are shaded behind the curves.
+
+import { STAGE_KEYS, prettyYears, starParams } from './simulation.js';
+import { TRACK_COLORS } from './hrDiagram.js';
+
+const SERIES = [
+  { key: 'M', label: 'Mass (M☉)' },
+  { key: 'L', label: 'Luminosity (L☉)' },
+  { key: 'R', label: 'Radius (R☉)' },
+  { key: 'T', label: 'Temperature (K)' },
+];
+
+const PAD = { left: 56, right: 12, top: 8, bottom: 26 };
+const ROW_GAP = 10;
+const MAX_SAMPLES = 2000; // samples are thinned by half when this is exceeded
+
+// Stage colour from the CSS variable named after its key (--ms, --rgb, --wd, …); also used
+// for the stage rings on the star canvas
+export function stageColor(stage) {
+  const key = STAGE_KEYS[stage];
+  const v = key ? getComputedStyle(document.documentElement).getPropertyValue(`--${key}`).trim() : '';
+  return v || '#ffffff';
+}
+
+export function createCharts({ canvas, sim, logToggle }) {
+  const ctx = canvas.getContext('2d');
+  let samples = [];
+  let pendingTransfer = null; // donor key for mass moved during the current step
+
+  function snapshot(star) {
+    const { L, R, T, stage } = starParams(star);
+    return { M: star.massCurrent, L, R, T, stage };
+  }
+
+  function record() {
+    const age = sim.t;
+    // Scrubbed backwards: forget the future before appending
+    while (samples.length && samples[samples.length - 1].age >= age) samples.pop();
+    samples.push({
+      age,
+      transfer: pendingTransfer,
+      primary: sim.stars.includes(sim.star1) ? snapshot(sim.star1) : null,
+      secondary: sim.stars.includes(sim.star2) ? snapshot(sim.star2) : null,
+    });
+    pendingTransfer = null;
+    if (samples.length > MAX_SAMPLES) {
+      // Keep the newest sample so the curves always reach the current age
+      const last = samples[samples.length - 1];
+      samples = samples.filter((_, i) => i % 2 === 0);
+      if (samples[samples.length - 1] !== last) samples.push(last);
+    }
+  }
+
+  function clear() {
+    samples = [];
+    pendingTransfer = null;
+  }
+
+  sim.subscribe((event) => {
+    if (event.type === 'transfer') {
+      pendingTransfer = event.donor === sim.star1 ? 'primary' : 'secondary';
+    } else if (event.type === 'step') {
+      record();
+    } else if (event.type === 'reset') {
+      clear();
+    } else if (event.type === 'restore') {
+      while (samples.length && samples[samples.length - 1].age > sim.t) samples.pop();
+      pendingTransfer = null;
+    }
+  });
+
+  function rowBox(i) {
+    const { width, height } = canvas;
+    const rowH = (height - ROW_GAP * (SERIES.length - 1)) / SERIES.length;
+    return {
+      x0: PAD.left,
+      y0: i * (rowH + ROW_GAP) + PAD.top,
+      w: width - PAD.left - PAD.right,
+      h: rowH - PAD.top - (i === SERIES.length - 1 ? PAD.bottom : 0),
+    };
+  }
+
+  // Contiguous runs of samples sharing the same value of pick(sample)
+  function runs(pick) {
+    const out = [];
+    for (let i = 0; i < samples.length; i++) {
+      const v = pick(samples[i]);
+      const last = out[out.length - 1];
+      if (last && last.value === v) {
+        last.end = samples[i].age;
+      } else {
+        const start = i ? samples[i - 1].age : samples[i].age;
+        out.push({ value: v, start, end: samples[i].age });
+      }
+    }
+    return out;
+  }
+
+  function drawBands(b, xOf) {
+    // Primary stage across the whole row, secondary stage as a strip along the bottom
+    for (const r of runs(s => (s.primary ? s.primary.stage : null))) {
+      if (!r.value) continue;
+      ctx.globalAlpha = 0.08;
+      ctx.fillStyle = stageColor(r.value);
+      ctx.fillRect(xOf(r.start), b.y0, Math.max(1, xOf(r.end) - xOf(r.start)), b.h);
+    }
+    if (sim.binary) {
+      for (const r of runs(s => (s.secondary ? s.secondary.stage : null))) {
+        if (!r.value) continue;
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = stageColor(r.value);
+        ctx.fillRect(xOf(r.start), b.y0 + b.h - 4, Math.max(1, xOf(r.end) - xOf(r.start)), 4);
+      }
+    }
+    // Mass-transfer episodes
+    for (const r of runs(s => s.transfer)) {
+      if (!r.value) continue;
+      ctx.globalAlpha = 0.18;
+      ctx.fillStyle = TRACK_COLORS[r.value];
+      ctx.fillRect(xOf(r.start), b.y0, Math.max(1, xOf(r.end) - xOf(r.start)), b.h);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  function drawRow(i, series, xOf, tMax, logScale) {
+    const b = rowBox(i);
+    const tf = logScale ? (v) => Math.log10(Math.max(v, 1e-6)) : (v) => v;
+
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (const s of samples) {
+      for (const snap of [s.primary, s.secondary]) {
+        if (!snap) continue;
+        const v = tf(snap[series.key]);
+        lo = Math.min(lo, v);
+        hi = Math.max(hi, v);
+      }
+    }
+    if (!Number.isFinite(lo)) { lo = 0; hi = 1; }
+    const pad = (hi - lo) * 0.1 || Math.abs(hi) * 0.1 || 1;
+    lo -= pad;
+    hi += pad;
+    const yOf = (v) => b.y0 + (hi - tf(v)) / (hi - lo) * b.h;
+
+    drawBands(b, xOf);
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(b.x0, b.y0, b.w, b.h);
+
+    // Y labels: bottom, top and series name
+    ctx.fillStyle = '#9fb0c0';
+    ctx.font = '10px Inter, system-ui, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const label = (v) => formatValue(logScale ? Math.pow(10, v) : v);
+    ctx.fillText(label(hi), b.x0 - 4, b.y0 + 6);
+    ctx.fillText(label(lo), b.x0 - 4, b.y0 + b.h - 6);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#e6edf3';
+    ctx.fillText(series.label, b.x0 + 6, b.y0 + 4);
+
+    for (const key of ['primary', 'secondary']) {
+      const pts = samples.filter(s => s[key]);
+      if (!pts.length) continue;
+      ctx.strokeStyle = TRACK_COLORS[key];
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      pts.forEach((s, j) => {
+        const x = xOf(s.age);
+        const y = yOf(s[key][series.key]);
+        if (j) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+      });
+      ctx.stroke();
+    }
+
+    if (i === SERIES.length - 1) {
+      ctx.fillStyle = '#9fb0c0';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillText('0', b.x0, b.y0 + b.h + 4);
+      ctx.textAlign = 'right';
+      ctx.fillText(`${prettyYears(tMax)} (age)`, b.x0 + b.w, b.y0 + b.h + 4);
+    }
+  }
+
+  function draw() {
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#0b0f14';
+    ctx.fillRect(0, 0, width, height);
+
+    const logScale = !!(logToggle && logToggle.checked);
+    const tMax = Math.max(samples.length ? samples[samples.length - 1].age : 0, 1);
+    const b = rowBox(0);
+    const xOf = (age) => b.x0 + (age / tMax) * b.w;
+
+    SERIES.forEach((series, i) => drawRow(i, series, xOf, tMax, logScale));
+
+    if (!samples.length) {
+      ctx.fillStyle = '#9fb0c0';
+      ctx.font = '12px Inter, system-ui, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Press Play to record the star’s properties over time', width / 2, height / 2);
+    }
+  }
+
+  if (logToggle) logToggle.addEventListener('change', draw);
+
+  return { draw, clear };
+}
+
+function formatValue(v) {
+  if (!Number.isFinite(v)) return '—';
+  const a = Math.abs(v);
+  if (a >= 1e4 || (a > 0 && a < 1e-2)) return v.toExponential(1);
+  if (a >= 100) return v.toFixed(0);
+  return v.toFixed(2);
+}
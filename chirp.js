@@ -0,0 +1,202 @@
+// Gravitational-wave panel for compact binaries: the strain waveform of the final chirp and the
+// GW frequency against time to merger, with the binary's current place on that track.
+// Leading-order (quadrupole, circular) formulas in SI units.
+
+import { prettyYears } from './simulation.js';
+
+const G = 6.674e-11;
+const C = 2.998e8;
+const MSUN = 1.989e30;
+const MPC = 3.086e22;
+const YEAR_S = 3.156e7;
+const DISTANCE_MPC = 100; // source distance used for the strain amplitude
+
+const PAD = { left: 56, right: 12, top: 10, bottom: 26 };
+const ROW_GAP = 14;
+const TAU_MIN_S = 1e-3;
+const TAU_MAX_S = 1e10 * YEAR_S;
+
+// Detector sensitivity bands (Hz)
+const BANDS = [
+  { label: 'LIGO/Virgo', fMin: 10, fMax: 2000, color: 'rgba(77,212,172,0.12)' },
+  { label: 'LISA', fMin: 1e-4, fMax: 0.1, color: 'rgba(91,157,255,0.12)' },
+];
+
+function chirpMassSI(m1, m2) {
+  return Math.pow(m1 * m2, 0.6) / Math.pow(m1 + m2, 0.2) * MSUN;
+}
+
+// GW frequency τ seconds before coalescence
+function frequencyAt(tau, mc) {
+  return (1 / Math.PI) * Math.pow(5 / (256 * tau), 3 / 8) * Math.pow(G * mc / (C * C * C), -5 / 8);
+}
+
+// Time before coalescence at GW frequency f
+function tauAt(f, mc) {
+  return (5 / 256) * Math.pow(Math.PI * f, -8 / 3) * Math.pow(G * mc / (C * C * C), -5 / 3);
+}
+
+function strainAt(f, mc) {
+  return 4 * Math.pow(G * mc / (C * C), 5 / 3) * Math.pow(Math.PI * f / C, 2 / 3) / (DISTANCE_MPC * MPC);
+}
+
+// Innermost stable circular orbit: the inspiral description stops here
+function iscoFrequency(m1, m2) {
+  return C * C * C / (Math.pow(6, 1.5) * Math.PI * G * (m1 + m2) * MSUN);
+}
+
+export function createChirpPlot({ canvas, sim }) {
+  const ctx = canvas.getContext('2d');
+  let merged = null; // { masses, kind } once the pair has coalesced
+
+  sim.subscribe((event) => {
+    if (event.type === 'compact-merger') merged = { masses: event.masses, kind: event.kind };
+    else if (event.type === 'reset') merged = null;
+    else if (event.type === 'restore' && !sim.merged) merged = null;
+  });
+
+  function clear() {
+    merged = null;
+  }
+
+  // Masses of the compact pair being shown, or null when there is none
+  function currentPair() {
+    if (sim.isCompactBinary) return { masses: [sim.star1.massCurrent, sim.star2.massCurrent], tauS: sim.gwMergerTimeYears * YEAR_S };
+    if (merged) return { masses: merged.masses, tauS: 0 };
+    return null;
+  }
+
+  function rowBox(i) {
+    const { width, height } = canvas;
+    const rowH = (height - ROW_GAP) / 2;
+    return {
+      x0: PAD.left,
+      y0: i * (rowH + ROW_GAP) + PAD.top,
+      w: width - PAD.left - PAD.right,
+      h: rowH - PAD.top - PAD.bottom,
+    };
+  }
+
+  function label(text, x, y, align = 'left', baseline = 'top', color = '#9fb0c0') {
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.textBaseline = baseline;
+    ctx.fillText(text, x, y);
+  }
+
+  // Strain h(t) over the last stretch of the inspiral, up to the ISCO
+  function drawWaveform(pair) {
+    const b = rowBox(0);
+    const [m1, m2] = pair.masses;
+    const mc = chirpMassSI(m1, m2);
+    const fEnd = iscoFrequency(m1, m2);
+    const tauEnd = tauAt(fEnd, mc);
+    // Start where the signal enters the LIGO band, but show at most one second
+    const span = Math.min(tauAt(20, mc), 1);
+    const hMax = strainAt(fEnd, mc);
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(b.x0, b.y0, b.w, b.h);
+    const yMid = b.y0 + b.h / 2;
+
+    // Phase Φ(τ) = −2 (τ / 5τ₀)^(5/8) with τ₀ = G M_c / c³, sampled densely enough to resolve cycles
+    const t0 = G * mc / (C * C * C);
+    const phaseAt = (tau) => -2 * Math.pow(tau / (5 * t0), 5 / 8);
+    const steps = Math.min(Math.max(Math.round(b.w * 4), 800), 6000);
+    ctx.strokeStyle = '#ffd166';
+    ctx.beginPath();
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps; // 0 → start of window, 1 → ISCO
+      const tau = tauEnd + (1 - t) * span;
+      const h = strainAt(frequencyAt(tau, mc), mc) * Math.cos(phaseAt(tau));
+      const x = b.x0 + t * b.w;
+      const y = yMid - (h / hMax) * (b.h / 2 - 2);
+      if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+    }
+    ctx.stroke();
+
+    label(`Strain h (peak ${hMax.toExponential(1)} at ${DISTANCE_MPC} Mpc)`, b.x0 + 6, b.y0 + 4, 'left', 'top', '#e6edf3');
+    label(`−${span < 0.1 ? `${(span * 1000).toFixed(0)} ms` : `${span.toFixed(2)} s`}`, b.x0, b.y0 + b.h + 4);
+    label(`ISCO, ${fEnd.toFixed(0)} Hz`, b.x0 + b.w, b.y0 + b.h + 4, 'right');
+  }
+
+  // log f_GW against log τ, with detector bands and the binary's current position
+  function drawFrequencyTrack(pair) {
+    const b = rowBox(1);
+    const [m1, m2] = pair.masses;
+    const mc = chirpMassSI(m1, m2);
+    const fIsco = iscoFrequency(m1, m2);
+    const logTauMin = Math.log10(TAU_MIN_S);
+    const logTauMax = Math.log10(TAU_MAX_S);
+    const logFMin = Math.log10(frequencyAt(TAU_MAX_S, mc));
+    const logFMax = Math.log10(fIsco) + 0.3;
+    // Time to merger runs right to left so the chirp rises towards the right edge
+    const xOf = (tau) => b.x0 + (logTauMax - Math.log10(tau)) / (logTauMax - logTauMin) * b.w;
+    const yOf = (f) => b.y0 + (logFMax - Math.log10(f)) / (logFMax - logFMin) * b.h;
+
+    for (const band of BANDS) {
+      const yTop = Math.max(yOf(band.fMax), b.y0);
+      const yBot = Math.min(yOf(band.fMin), b.y0 + b.h);
+      if (yBot <= yTop) continue;
+      ctx.fillStyle = band.color;
+      ctx.fillRect(b.x0, yTop, b.w, yBot - yTop);
+      label(band.label, b.x0 + b.w - 4, yTop + 2, 'right');
+    }
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(b.x0, b.y0, b.w, b.h);
+
+    ctx.strokeStyle = '#5b9dff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let started = false;
+    for (let i = 0; i <= 200; i++) {
+      const tau = Math.pow(10, logTauMax - (i / 200) * (logTauMax - logTauMin));
+      const f = frequencyAt(tau, mc);
+      if (f > fIsco) break;
+      const x = xOf(tau);
+      const y = yOf(f);
+      if (started) ctx.lineTo(x, y); else { ctx.moveTo(x, y); started = true; }
+    }
+    ctx.stroke();
+
+    // Current position (clamped to the plot)
+    const tau = Math.min(Math.max(pair.tauS, TAU_MIN_S), TAU_MAX_S);
+    const f = Math.min(frequencyAt(tau, mc), fIsco);
+    ctx.fillStyle = '#ffd166';
+    ctx.beginPath();
+    ctx.arc(xOf(tau), yOf(f), 5, 0, Math.PI * 2);
+    ctx.fill();
+
+    label('GW frequency vs time to merger', b.x0 + 6, b.y0 + 4, 'left', 'top', '#e6edf3');
+    label(`${Math.pow(10, logFMax).toPrecision(2)} Hz`, b.x0 - 4, b.y0 + 6, 'right', 'middle');
+    label(`${Math.pow(10, logFMin).toExponential(0)} Hz`, b.x0 - 4, b.y0 + b.h - 6, 'right', 'middle');
+    label(prettyYears(TAU_MAX_S / YEAR_S), b.x0, b.y0 + b.h + 4);
+    label('1 ms', b.x0 + b.w, b.y0 + b.h + 4, 'right');
+  }
+
+  function draw() {
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#0b0f14';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '10px Inter, system-ui, sans-serif';
+
+    const pair = currentPair();
+    if (!pair) {
+      ctx.font = '12px Inter, system-ui, sans-serif';
+      label('Appears once both stars of a bound binary are neutron stars or black holes', width / 2, height / 2, 'center', 'middle');
+      return;
+    }
+    drawWaveform(pair);
+    drawFrequencyTrack(pair);
+    if (merged) {
+      ctx.font = '12px Inter, system-ui, sans-serif';
+      label(`${merged.kind} coalescence`, width - PAD.right - 4, rowBox(1).y0 + 20, 'right', 'top', '#ffd166');
+    }
+  }
+
+  return { draw, clear };
+}
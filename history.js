@@ -0,0 +1,110 @@
+// Run history for rewinding and scrubbing: a snapshot of the full simulation state every few
+// steps plus the size of every step since, so any recorded age is rebuilt exactly by restoring
+// the nearest earlier snapshot and repeating the same steps. A step is one call to advance (a
+// physics tick of playback); its event-driven sub-steps are not recorded, as repeating the step
+// from the same state splits it the same way.
+
+const SNAPSHOT_EVERY = 60; // steps between snapshots (about a second of playback)
+const MAX_SNAPSHOTS = 2000; // the oldest history is dropped beyond this
+
+// Settings the controls change without restarting the run. A change starts a new snapshot, so
+// replays use the settings that were in force at the time.
+const SETTINGS = [
+  'binary', 'separationInitialAU', 'eccentricityInitial', 'transferRatePerYear', 'transferMode',
+  'massLossFraction', 'ceAlpha', 'ceLambda', 'kickDistribution', 'kickSigmaKms', 'seed',
+  'formationDelayPrimary', 'formationDelaySecondary',
+];
+
+export function createHistory({ sim, snapshotEvery = SNAPSHOT_EVERY, maxSnapshots = MAX_SNAPSHOTS }) {
+  let chunks = []; // { snapshot, settings, steps: [{ dtYears, maxStepYears }] }, oldest first
+  let position = null; // { chunk, steps } where the simulation is: after that many steps of that chunk
+
+  function settingsKey() {
+    const planets = sim.planets.map(({ name, host, orbitInitialAU, albedo }) => [name, host, orbitInitialAU, albedo]);
+    return JSON.stringify([SETTINGS.map(key => sim[key]), planets]);
+  }
+
+  function clear() {
+    chunks = [];
+    position = null;
+  }
+
+  sim.subscribe((event) => {
+    if (event.type === 'reset') clear();
+  });
+
+  function atEnd() {
+    return !position || (position.chunk === chunks.length - 1 && position.steps === chunks[position.chunk].steps.length);
+  }
+
+  // Earliest age that can be rebuilt
+  function startAge() {
+    return chunks.length ? chunks[0].snapshot.t : sim.t;
+  }
+
+  // Evolve by dtYears in event-driven sub-steps of at most maxStepYears
+  function run({ dtYears, maxStepYears }) {
+    sim.advanceTo(sim.t + dtYears, maxStepYears);
+  }
+
+  // Evolve by dtYears and record it as one step. Whatever was recorded after the current
+  // position (the future before a rewind) is forgotten.
+  function advance(dtYears, maxStepYears = Infinity) {
+    if (!atEnd()) {
+      chunks.length = position.chunk + 1;
+      chunks[position.chunk].steps.length = position.steps;
+    }
+    const settings = settingsKey();
+    let chunk = chunks[chunks.length - 1];
+    if (!chunk || chunk.steps.length >= snapshotEvery || chunk.settings !== settings) {
+      if (chunk && !chunk.steps.length) chunks.pop();
+      chunk = { snapshot: sim.snapshot(), settings, steps: [] };
+      chunks.push(chunk);
+      if (chunks.length > maxSnapshots) chunks.shift();
+    }
+    const step = { dtYears, maxStepYears };
+    run(step);
+    chunk.steps.push(step);
+    position = { chunk: chunks.length - 1, steps: chunk.steps.length };
+  }
+
+  // Restore a chunk's snapshot and repeat its steps while they end at or before ageYears
+  function replay(index, ageYears) {
+    const chunk = chunks[index];
+    const tolerance = 1e-9 * ageYears;
+    sim.restore(chunk.snapshot);
+    let steps = 0;
+    for (const step of chunk.steps) {
+      if (sim.t + step.dtYears > ageYears + tolerance) break;
+      run(step);
+      steps++;
+    }
+    position = { chunk: index, steps };
+  }
+
+  // Whether the current position already is the last recorded step at or before ageYears
+  function landsHere(ageYears, tolerance) {
+    if (atEnd() || sim.t > ageYears + tolerance) return false;
+    const chunk = chunks[position.chunk];
+    const next = position.steps < chunk.steps.length ? chunk.steps[position.steps] : chunks[position.chunk + 1].steps[0];
+    return sim.t + next.dtYears > ageYears + tolerance;
+  }
+
+  // Go to ageYears: within the recorded history by replaying from the nearest earlier snapshot
+  // (landing on the last recorded step at or before it); past its end by evolving on in recorded
+  // steps of at most stepYears
+  function seek(ageYears, stepYears) {
+    const target = Math.max(ageYears, startAge());
+    const tolerance = 1e-9 * target;
+    if (Math.abs(target - sim.t) <= tolerance || landsHere(target, tolerance)) return;
+    if (!atEnd() || target < sim.t) {
+      let index = chunks.length - 1;
+      while (index > 0 && chunks[index].snapshot.t > target) index--;
+      replay(index, target);
+      if (!atEnd()) return;
+    }
+    while (target - sim.t > tolerance) advance(Math.min(stepYears, target - sim.t), stepYears);
+  }
+
+  return { advance, seek, clear, startAge };
+}
@@ -0,0 +1,241 @@
+// Hertzsprung–Russell diagram panel: log T (reversed) against log L, with the model's
+// main-sequence band, an evolutionary track per star and click-to-scrub along the tracks.
+
+import { HYDROGEN_BURNING_MASS, MAX_MASS, clamp, luminosityLsun, radiusRsun, temperatureK, starParams } from './simulation.js';
+
+// Plot ranges (log10 units)
+const LOG_T_MAX = 5.1; // left edge, ~126 000 K (Wolf–Rayet stars and planetary nebula nuclei)
+const LOG_T_MIN = 3.25; // right edge, ~1 800 K
+const LOG_L_MIN = -5; // brown dwarfs
+const LOG_L_MAX = 7.5; // the most massive stars
+
+const PAD = { left: 48, right: 14, top: 12, bottom: 34 };
+const MIN_STEP = 0.002; // minimum movement in log space before a new track point is stored
+const PICK_RADIUS_PX = 10;
+
+export const TRACK_COLORS = {
+  primary: '#ffd166',
+  secondary: '#5b9dff',
+};
+
+export function createHRDiagram({ canvas, sim, onScrub }) {
+  const ctx = canvas.getContext('2d');
+  const tracks = { primary: [], secondary: [] };
+
+  function plotBox() {
+    const { width, height } = canvas;
+    return {
+      x0: PAD.left,
+      y0: PAD.top,
+      w: width - PAD.left - PAD.right,
+      h: height - PAD.top - PAD.bottom,
+    };
+  }
+
+  function toScreen(logT, logL) {
+    const b = plotBox();
+    const x = b.x0 + (LOG_T_MAX - logT) / (LOG_T_MAX - LOG_T_MIN) * b.w;
+    const y = b.y0 + (LOG_L_MAX - logL) / (LOG_L_MAX - LOG_L_MIN) * b.h;
+    return [x, y];
+  }
+
+  function currentStars() {
+    const list = [{ key: 'primary', star: sim.star1 }];
+    if (sim.binary) list.push({ key: 'secondary', star: sim.star2 });
+    return list;
+  }
+
+  // Stars that have ended or merged away keep their track but get no new points
+  function isLive(star) {
+    return !star.ended && sim.stars.includes(star);
+  }
+
+  // Append the current state of each living star to its track
+  function record() {
+    for (const { key, star } of currentStars()) {
+      if (!isLive(star)) continue;
+      const { L, T } = starParams(star);
+      const point = { age: star.age, t: sim.t, logT: Math.log10(T), logL: Math.log10(L) };
+      const track = tracks[key];
+      const last = track[track.length - 1];
+      if (last && point.age <= last.age) {
+        // Scrubbed backwards: drop the part of the track that lies in the future
+        while (track.length && track[track.length - 1].age >= point.age) track.pop();
+      }
+      const prev = track[track.length - 1];
+      if (prev && Math.abs(prev.logT - point.logT) < MIN_STEP && Math.abs(prev.logL - point.logL) < MIN_STEP) {
+        continue;
+      }
+      track.push(point);
+    }
+  }
+
+  function clear() {
+    tracks.primary = [];
+    tracks.secondary = [];
+  }
+
+  // Drop the part of each track that lies after the restored age
+  function trim() {
+    for (const { key, star } of currentStars()) {
+      const track = tracks[key];
+      while (track.length && track[track.length - 1].age > star.age) track.pop();
+    }
+  }
+
+  sim.subscribe((event) => {
+    if (event.type === 'step') record();
+    else if (event.type === 'reset') clear();
+    else if (event.type === 'restore') trim();
+  });
+
+  function drawAxes() {
+    const b = plotBox();
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(b.x0, b.y0, b.w, b.h);
+
+    ctx.fillStyle = '#9fb0c0';
+    ctx.font = '11px Inter, system-ui, sans-serif';
+
+    // Temperature ticks
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const T of [100000, 40000, 20000, 10000, 6000, 4000, 3000, 2000]) {
+      const [x] = toScreen(Math.log10(T), LOG_L_MIN);
+      ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+      ctx.beginPath(); ctx.moveTo(x, b.y0); ctx.lineTo(x, b.y0 + b.h); ctx.stroke();
+      ctx.fillText(T >= 10000 ? `${T / 1000}k` : String(T), x, b.y0 + b.h + 4);
+    }
+    ctx.fillText('Surface temperature (K)', b.x0 + b.w / 2, b.y0 + b.h + 18);
+
+    // Luminosity ticks (decades)
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let logL = -4; logL <= 7; logL += 1) {
+      const [, y] = toScreen(LOG_T_MIN, logL);
+      ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+      ctx.beginPath(); ctx.moveTo(b.x0, y); ctx.lineTo(b.x0 + b.w, y); ctx.stroke();
+      ctx.fillText(`10${superscript(logL)}`, b.x0 - 6, y);
+    }
+    ctx.save();
+    ctx.translate(12, b.y0 + b.h / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('Luminosity (L☉)', 0, 0);
+    ctx.restore();
+  }
+
+  // Main-sequence band from the model's own mass–luminosity–radius relations, down to the
+  // lightest stars that burn hydrogen
+  function drawMainSequence() {
+    const upper = [];
+    const lower = [];
+    const steps = 60;
+    for (let i = 0; i <= steps; i++) {
+      const m = HYDROGEN_BURNING_MASS * Math.pow(MAX_MASS / HYDROGEN_BURNING_MASS, i / steps);
+      const L = luminosityLsun(m, sim.metallicity);
+      const T = temperatureK(L, radiusRsun(m, sim.metallicity));
+      upper.push(toScreen(Math.log10(T), Math.log10(L) + 0.35));
+      lower.push(toScreen(Math.log10(T), Math.log10(L) - 0.35));
+    }
+    ctx.fillStyle = 'rgba(91,157,255,0.12)';
+    ctx.beginPath();
+    upper.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+    for (let i = lower.length - 1; i >= 0; i--) ctx.lineTo(lower[i][0], lower[i][1]);
+    ctx.closePath();
+    ctx.fill();
+
+    const [lx, ly] = upper[Math.round(steps * 0.55)];
+    ctx.fillStyle = 'rgba(91,157,255,0.7)';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('Main sequence', lx + 8, ly - 2);
+  }
+
+  function drawTrack(key) {
+    const track = tracks[key];
+    if (track.length < 2) return;
+    ctx.strokeStyle = TRACK_COLORS[key];
+    ctx.globalAlpha = 0.7;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    track.forEach((p, i) => {
+      const [x, y] = toScreen(p.logT, p.logL);
+      if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+    });
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+  }
+
+  function drawCurrent(key, star) {
+    const { L, T } = starParams(star);
+    const [x, y] = toScreen(
+      clamp(Math.log10(T), LOG_T_MIN, LOG_T_MAX),
+      clamp(Math.log10(L), LOG_L_MIN, LOG_L_MAX),
+    );
+    ctx.fillStyle = TRACK_COLORS[key];
+    ctx.strokeStyle = '#0b0f14';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = '#e6edf3';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(key === 'primary' ? 'Primary' : 'Secondary', x + 8, y);
+  }
+
+  function draw() {
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#0b0f14';
+    ctx.fillRect(0, 0, width, height);
+
+    drawAxes();
+    drawMainSequence();
+
+    const b = plotBox();
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(b.x0, b.y0, b.w, b.h);
+    ctx.clip();
+    for (const { key, star } of currentStars()) {
+      drawTrack(key);
+      // Remnants are not plotted; their track simply stops
+      if (isLive(star)) drawCurrent(key, star);
+    }
+    ctx.restore();
+  }
+
+  // Nearest recorded track point to a canvas position, within PICK_RADIUS_PX
+  function pick(mx, my) {
+    let best = null;
+    let bestD = PICK_RADIUS_PX;
+    for (const { key } of currentStars()) {
+      for (const p of tracks[key]) {
+        const [x, y] = toScreen(p.logT, p.logL);
+        const d = Math.hypot(mx - x, my - y);
+        if (d < bestD) { bestD = d; best = p; }
+      }
+    }
+    return best;
+  }
+
+  canvas.addEventListener('click', (e) => {
+    const rect = canvas.getBoundingClientRect();
+    // Canvas may be CSS-scaled; convert to backing-store pixels
+    const sx = rect.width ? canvas.width / rect.width : 1;
+    const sy = rect.height ? canvas.height / rect.height : 1;
+    const p = pick((e.clientX - rect.left) * sx, (e.clientY - rect.top) * sy);
+    if (p) onScrub(p.t);
+  });
+
+  return { draw, clear };
+}
+
+export function superscript(n) {
+  const map = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+  return String(n).split('').map(c => map[c]).join('');
+}
@@ -0,0 +1,161 @@
+// Observer's view: V-band magnitudes from each star's L and T, what it takes to see the
+// system from a chosen distance, and a sky field with the star(s) as point sources.
+
+import { createRng, starParams } from './simulation.js';
+
+export const M_BOL_SUN = 4.74;
+
+// Bolometric correction BC_V polynomials in log T (Torres 2010, after Flower 1996)
+const BC_FITS = [
+  { maxLogT: 3.7, c: [-0.190537291496456e5, 0.155144866764412e5, -0.421278819301717e4, 0.381476328422343e3] },
+  { maxLogT: 3.9, c: [-0.370510203809015e5, 0.385672629965804e5, -0.150651486316025e5, 0.261724637119416e4, -0.170623810323864e3] },
+  { maxLogT: Infinity, c: [-0.118115450538963e6, 0.137145973583929e6, -0.636233812100225e5, 0.147412923562646e5, -0.170587278406872e4, 0.788731721804990e2] },
+];
+const BC_COOL_T = 3300; // the fits run away below this; continue at 10 mag per dex
+const BC_HOT_T = 5e4; // above this, BC = 27.66 − 6.84 log T for O stars (Vacca et al. 1996)
+
+// Faintest V magnitude for each way of looking, and the finest separation it splits (arcsec)
+export const INSTRUMENTS = [
+  { label: 'Naked eye', limitMag: 6, resolutionArcsec: 60 },
+  { label: 'Binoculars', limitMag: 10, resolutionArcsec: 6 },
+  { label: 'Telescope', limitMag: 15, resolutionArcsec: 1 }, // seeing-limited
+  { label: 'Large telescope', limitMag: 25, resolutionArcsec: 0.05 }, // adaptive optics
+];
+
+function polynomialBC(logT) {
+  const { c } = BC_FITS.find(f => logT < f.maxLogT);
+  return c.reduce((sum, a, i) => sum + a * Math.pow(logT, i), 0);
+}
+
+export function bolometricCorrectionV(T) {
+  if (T >= BC_HOT_T) return 27.66 - 6.84 * Math.log10(T);
+  if (T <= BC_COOL_T) return polynomialBC(Math.log10(BC_COOL_T)) + 10 * Math.log10(T / BC_COOL_T);
+  return polynomialBC(Math.log10(T));
+}
+
+export function absoluteMagnitudeV(L, T) {
+  return M_BOL_SUN - 2.5 * Math.log10(L) - bolometricCorrectionV(T);
+}
+
+export function distanceModulus(distancePc) {
+  return 5 * Math.log10(distancePc / 10);
+}
+
+// Magnitude of several unresolved sources together
+export function combinedMagnitude(mags) {
+  return -2.5 * Math.log10(mags.reduce((sum, m) => sum + Math.pow(10, -0.4 * m), 0));
+}
+
+// Simplest instrument that shows a source this bright (null when none does)
+export function instrumentFor(apparentMag) {
+  return INSTRUMENTS.find(i => apparentMag <= i.limitMag) || null;
+}
+
+// Simplest instrument that splits a pair this far apart, if it can see both stars
+export function resolvingInstrument(separationArcsec, faintestMag) {
+  return INSTRUMENTS.find(i => separationArcsec >= i.resolutionArcsec && faintestMag <= i.limitMag) || null;
+}
+
+// V magnitudes of the shining stars at the observer's distance and extinction (remnants are
+// left out: their cooling is not modelled)
+export function observedStars(sim, { distancePc, extinctionMag }) {
+  const keyed = sim.stars.map(star => [star === sim.star1 ? 'primary' : 'secondary', star]);
+  return keyed
+    .filter(([, star]) => !star.ended)
+    .map(([key, star]) => {
+      const { L, T } = starParams(star);
+      const absolute = absoluteMagnitudeV(L, T);
+      return { key, star, T, absolute, apparent: absolute + distanceModulus(distancePc) + extinctionMag };
+    });
+}
+
+// Projected separation in arcseconds: 1 AU at 1 pc subtends 1″
+export function angularSeparationArcsec(separationAU, distancePc) {
+  return separationAU / distancePc;
+}
+
+const FIELD_STARS = 160;
+const SEEING_ARCSEC = 1;
+const SCALE_BARS_ARCSEC = [0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+export function createSkyView({ canvas, sim, observer, colorForTemp }) {
+  const ctx = canvas.getContext('2d');
+
+  // Background stars: fixed positions in the unit square, more of them at faint magnitudes
+  const rng = createRng(7);
+  const field = Array.from({ length: FIELD_STARS }, () => ({
+    x: rng(),
+    y: rng(),
+    mag: 4 + 14 * Math.pow(rng(), 0.35),
+  }));
+
+  // Point source: brighter stars look bigger, and nothing is sharper than the seeing disc.
+  // rgb is "r,g,b".
+  function drawSource(x, y, mag, limit, rgb, seeingPx) {
+    const depth = limit - mag;
+    if (depth <= 0) return;
+    const alpha = Math.min(0.15 + depth / 8, 1);
+    const r = Math.max(seeingPx / 2, Math.min(0.8 + 0.5 * depth, 14));
+    const g = ctx.createRadialGradient(x, y, 0, x, y, r * 2);
+    g.addColorStop(0, `rgba(${rgb},${alpha})`);
+    g.addColorStop(0.35, `rgba(${rgb},${alpha * 0.45})`);
+    g.addColorStop(1, `rgba(${rgb},0)`);
+    ctx.fillStyle = g;
+    ctx.beginPath();
+    ctx.arc(x, y, r * 2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  function draw() {
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#04070b';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '11px Inter, system-ui, sans-serif';
+
+    const stars = observedStars(sim, observer);
+    const separation = sim.isBinary && !sim.unbound
+      ? angularSeparationArcsec(sim.separationAU, observer.distancePc)
+      : null;
+    // Field of view: a few times the separation, or ten arcminutes
+    const fovArcsec = separation && stars.length > 1 ? Math.min(Math.max(separation * 6, 6), 7200) : 600;
+    const pxPerArcsec = width / fovArcsec;
+    const seeingPx = SEEING_ARCSEC * pxPerArcsec;
+    const target = stars.length ? combinedMagnitude(stars.map(s => s.apparent)) : Infinity;
+    const limit = Math.max(Math.min(target + 5, 25), 8);
+
+    // Field stars thin out with the field's area (a ten-arcminute field shows all of them)
+    const shown = Math.round(FIELD_STARS * Math.min(Math.pow(fovArcsec / 600, 2), 1));
+    for (const s of field.slice(0, shown)) drawSource(s.x * width, s.y * height, s.mag, limit, '220,228,240', seeingPx);
+
+    // The system at the centre, split along the horizontal by the projected separation
+    stars.forEach((s) => {
+      const offset = stars.length > 1 ? (s.key === 'primary' ? -1 : 1) * separation * pxPerArcsec / 2 : 0;
+      drawSource(width / 2 + offset, height / 2, s.apparent, limit, colorForTemp(s.T).slice(4, -1), seeingPx);
+    });
+
+    // Scale bar and field size
+    const barArcsec = [...SCALE_BARS_ARCSEC].reverse().find(v => v <= fovArcsec / 4) || SCALE_BARS_ARCSEC[0];
+    const barPx = barArcsec * pxPerArcsec;
+    ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(12, height - 14);
+    ctx.lineTo(12 + barPx, height - 14);
+    ctx.stroke();
+    ctx.fillStyle = '#9fb0c0';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(barArcsec >= 60 ? `${barArcsec / 60}′` : `${barArcsec}″`, 12, height - 18);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Field ${fovArcsec >= 60 ? `${(fovArcsec / 60).toFixed(1)}′` : `${fovArcsec.toFixed(1)}″`} wide · stars to V ${limit.toFixed(1)}`, width - 10, 8);
+    if (!stars.length) {
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Nothing to see: remnant cooling is not modelled', width / 2, height / 2);
+    }
+  }
+
+  return { draw };
+}
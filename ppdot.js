@@ -0,0 +1,240 @@
+// P–Ṗ diagram panel: neutron-star spin period against its spin-down rate, with lines of
+// constant dipole field and characteristic age, the death line and each pulsar's path.
+
+import { PULSAR_DEATH_LINE, YEAR_S, clamp, isActivePulsar, pulsarPdot } from './simulation.js';
+import { TRACK_COLORS, superscript } from './hrDiagram.js';
+
+// Plot ranges (log10 units)
+const LOG_P_MIN = -3.3; // ~0.5 ms
+const LOG_P_MAX = 2;
+const LOG_PDOT_MIN = -22;
+const LOG_PDOT_MAX = -10;
+
+const PAD = { left: 52, right: 14, top: 12, bottom: 34 };
+const MIN_STEP = 0.01; // minimum movement in log space before a new track point is stored
+const FIELD_LINES_G = [1e8, 1e10, 1e12, 1e14];
+const AGE_LINES_YEARS = [1e3, 1e5, 1e7, 1e9];
+
+export function createPPdotDiagram({ canvas, sim }) {
+  const ctx = canvas.getContext('2d');
+  const tracks = { primary: [], secondary: [] };
+
+  function plotBox() {
+    const { width, height } = canvas;
+    return {
+      x0: PAD.left,
+      y0: PAD.top,
+      w: width - PAD.left - PAD.right,
+      h: height - PAD.top - PAD.bottom,
+    };
+  }
+
+  function toScreen(logP, logPdot) {
+    const b = plotBox();
+    const x = b.x0 + (logP - LOG_P_MIN) / (LOG_P_MAX - LOG_P_MIN) * b.w;
+    const y = b.y0 + (LOG_PDOT_MAX - logPdot) / (LOG_PDOT_MAX - LOG_PDOT_MIN) * b.h;
+    return [x, y];
+  }
+
+  function currentStars() {
+    const list = [{ key: 'primary', star: sim.star1 }];
+    if (sim.binary) list.push({ key: 'secondary', star: sim.star2 });
+    return list;
+  }
+
+  function isNeutronStar(star) {
+    return star.ended && star.fate === 'Neutron Star' && star.spinPeriodS !== null;
+  }
+
+  // Position on the diagram. While accretion spins the star up Ṗ is negative, so it is placed
+  // where its period and field would put it as a spinning-down pulsar.
+  function position(star) {
+    return {
+      logP: Math.log10(star.spinPeriodS),
+      logPdot: Math.log10(pulsarPdot(star.spinPeriodS, star.magneticFieldG)),
+      accreting: star.accretionRate > 0,
+      t: sim.t,
+    };
+  }
+
+  function record() {
+    for (const { key, star } of currentStars()) {
+      if (!isNeutronStar(star)) continue;
+      const point = position(star);
+      const track = tracks[key];
+      const prev = track[track.length - 1];
+      if (prev && prev.accreting === point.accreting
+        && Math.abs(prev.logP - point.logP) < MIN_STEP && Math.abs(prev.logPdot - point.logPdot) < MIN_STEP) {
+        continue;
+      }
+      track.push(point);
+    }
+  }
+
+  function clear() {
+    tracks.primary = [];
+    tracks.secondary = [];
+  }
+
+  // Forget the points recorded after the restored age
+  function trim() {
+    for (const track of Object.values(tracks)) {
+      while (track.length && track[track.length - 1].t > sim.t) track.pop();
+    }
+  }
+
+  sim.subscribe((event) => {
+    if (event.type === 'step') record();
+    else if (event.type === 'reset') clear();
+    else if (event.type === 'restore') trim();
+  });
+
+  function drawAxes() {
+    const b = plotBox();
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(b.x0, b.y0, b.w, b.h);
+
+    ctx.fillStyle = '#9fb0c0';
+    ctx.font = '11px Inter, system-ui, sans-serif';
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let logP = -3; logP <= LOG_P_MAX; logP += 1) {
+      const [x] = toScreen(logP, LOG_PDOT_MIN);
+      ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+      ctx.beginPath(); ctx.moveTo(x, b.y0); ctx.lineTo(x, b.y0 + b.h); ctx.stroke();
+      ctx.fillText(logP < 0 ? `${Math.pow(10, logP + 3)} ms` : `${Math.pow(10, logP)} s`, x, b.y0 + b.h + 4);
+    }
+    ctx.fillText('Spin period P', b.x0 + b.w / 2, b.y0 + b.h + 18);
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let logPdot = LOG_PDOT_MIN; logPdot <= LOG_PDOT_MAX; logPdot += 2) {
+      const [, y] = toScreen(LOG_P_MIN, logPdot);
+      ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+      ctx.beginPath(); ctx.moveTo(b.x0, y); ctx.lineTo(b.x0 + b.w, y); ctx.stroke();
+      ctx.fillText(`1e${logPdot}`, b.x0 - 6, y);
+    }
+    ctx.save();
+    ctx.translate(12, b.y0 + b.h / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('Ṗ (s/s)', 0, 0);
+    ctx.restore();
+  }
+
+  // Straight line in log–log space through the period range, labelled at its right-hand end
+  // (or where it leaves the top or bottom of the plot)
+  function drawGuide(pdotAt, color, text) {
+    const b = plotBox();
+    const logPdotAt = (logP) => Math.log10(pdotAt(Math.pow(10, logP)));
+    const [x0, y0] = toScreen(LOG_P_MIN, logPdotAt(LOG_P_MIN));
+    const [x1, y1] = toScreen(LOG_P_MAX, logPdotAt(LOG_P_MAX));
+    ctx.strokeStyle = color;
+    ctx.beginPath(); ctx.moveTo(x0, y0); ctx.lineTo(x1, y1); ctx.stroke();
+    const tx = y1 < b.y0 ? x0 + (x1 - x0) * (b.y0 - y0) / (y1 - y0) : y1 > b.y0 + b.h ? x0 + (x1 - x0) * (b.y0 + b.h - y0) / (y1 - y0) : x1;
+    const ty = clamp(y0 + (y1 - y0) * (tx - x0) / (x1 - x0), b.y0, b.y0 + b.h);
+    ctx.fillStyle = color;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = ty < b.y0 + b.h / 2 ? 'top' : 'bottom';
+    ctx.fillText(text, clamp(tx, b.x0 + 40, b.x0 + b.w) - 4, ty);
+  }
+
+  function drawGuides() {
+    const b = plotBox();
+    ctx.lineWidth = 1;
+    ctx.font = '10px Inter, system-ui, sans-serif';
+
+    // Below the death line pulsars no longer shine: the graveyard
+    const deathLine = (P) => pulsarPdot(P, PULSAR_DEATH_LINE * P * P);
+    const steps = 40;
+    ctx.fillStyle = 'rgba(255,255,255,0.04)';
+    ctx.beginPath();
+    for (let i = 0; i <= steps; i++) {
+      const logP = LOG_P_MIN + (LOG_P_MAX - LOG_P_MIN) * i / steps;
+      const [x, y] = toScreen(logP, Math.log10(deathLine(Math.pow(10, logP))));
+      if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+    }
+    ctx.lineTo(b.x0 + b.w, b.y0 + b.h);
+    ctx.lineTo(b.x0, b.y0 + b.h);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.setLineDash([2, 4]);
+    for (const B of FIELD_LINES_G) {
+      drawGuide((P) => pulsarPdot(P, B), 'rgba(91,157,255,0.45)', `10${superscript(Math.log10(B))} G`);
+    }
+    for (const age of AGE_LINES_YEARS) {
+      drawGuide((P) => P / (2 * age * YEAR_S), 'rgba(255,209,102,0.4)', `τ 10${superscript(Math.log10(age))} yr`);
+    }
+    ctx.setLineDash([]);
+    drawGuide(deathLine, 'rgba(255,120,80,0.8)', 'Death line');
+  }
+
+  // Spin-down is a solid line; recycling by accretion is dashed
+  function drawTrack(key) {
+    const track = tracks[key];
+    if (track.length < 2) return;
+    ctx.strokeStyle = TRACK_COLORS[key];
+    ctx.globalAlpha = 0.75;
+    ctx.lineWidth = 1.5;
+    for (let i = 1; i < track.length; i++) {
+      const [xa, ya] = toScreen(track[i - 1].logP, track[i - 1].logPdot);
+      const [xb, yb] = toScreen(track[i].logP, track[i].logPdot);
+      ctx.setLineDash(track[i].accreting ? [4, 3] : []);
+      ctx.beginPath(); ctx.moveTo(xa, ya); ctx.lineTo(xb, yb); ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+  }
+
+  function drawCurrent(key, star) {
+    const { logP, logPdot, accreting } = position(star);
+    const [x, y] = toScreen(clamp(logP, LOG_P_MIN, LOG_P_MAX), clamp(logPdot, LOG_PDOT_MIN, LOG_PDOT_MAX));
+    ctx.fillStyle = TRACK_COLORS[key];
+    ctx.strokeStyle = '#0b0f14';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    const status = accreting ? 'accreting' : isActivePulsar(star) ? 'pulsar' : 'beyond the death line';
+    ctx.fillStyle = '#e6edf3';
+    ctx.font = '11px Inter, system-ui, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${key === 'primary' ? 'Primary' : 'Secondary'} (${status})`, x + 8, y);
+  }
+
+  function draw() {
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#0b0f14';
+    ctx.fillRect(0, 0, width, height);
+
+    drawAxes();
+    const b = plotBox();
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(b.x0, b.y0, b.w, b.h);
+    ctx.clip();
+    drawGuides();
+    const stars = currentStars();
+    for (const { key, star } of stars) {
+      drawTrack(key);
+      if (isNeutronStar(star) && sim.stars.includes(star)) drawCurrent(key, star);
+    }
+    ctx.restore();
+
+    if (!stars.some(({ key }) => tracks[key].length)) {
+      ctx.fillStyle = '#9fb0c0';
+      ctx.font = '12px Inter, system-ui, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('No neutron star yet', b.x0 + b.w / 2, b.y0 + b.h / 2);
+    }
+  }
+
+  return { draw, clear };
+}
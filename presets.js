@@ -0,0 +1,220 @@
+// Preset library: built-in starting points (textbook cases and real systems) and the user's own
+// presets, kept in localStorage. A built-in preset lists only the settings it changes; a user
+// preset is a full scenario.
+
+import { Z_SUN } from './simulation.js';
+import { validateScenario } from './scenario.js';
+
+const STORAGE_KEY = 'stellar-life-presets';
+export const NAME_LENGTH = 40;
+export const DEFAULT_USER_CATEGORY = 'My presets';
+
+// Settings are partial scenarios, merged over the defaults (see presetScenario)
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'red-dwarf',
+    name: 'Red Dwarf',
+    category: 'Single stars',
+    description: 'A 0.2 M☉ M dwarf: dim, cool and fully convective, it outlives the Universe many times over.',
+    settings: { masses: { primary: 0.2 }, binary: false },
+  },
+  {
+    id: 'sun',
+    name: 'Sun-like',
+    category: 'Single stars',
+    description: 'A 1 M☉ star: ten billion years on the main sequence, then a red giant and a white dwarf.',
+    settings: { masses: { primary: 1 }, binary: false },
+  },
+  {
+    id: 'massive',
+    name: 'Massive',
+    category: 'Single stars',
+    description: 'A 20 M☉ star: a few million years of life ending in a core-collapse supernova.',
+    settings: { masses: { primary: 20 }, binary: false },
+  },
+  {
+    id: 'binary-rlof',
+    name: 'Binary RLOF',
+    category: 'Binaries',
+    description: 'A 1.2 + 0.8 M☉ pair 0.02 AU apart: the primary fills its Roche lobe as a subgiant and feeds its companion steadily '
+      + 'for almost a billion years, until it swells into a red giant and engulfs it.',
+    settings: {
+      masses: { primary: 1.2, secondary: 0.8 },
+      binary: true,
+      orbit: { separationAU: 0.02 },
+      transfer: { ratePerMyr: 0.02 },
+    },
+  },
+  {
+    id: 'solar-system',
+    name: 'Solar System',
+    category: 'Planetary systems',
+    description: 'The Sun with its inner planets and Jupiter: watch Earth’s fate as the Sun becomes a giant.',
+    settings: {
+      masses: { primary: 1 },
+      binary: false,
+      metallicity: Z_SUN,
+      // Semi-major axis (AU) and Bond albedo
+      planets: [
+        { name: 'Mercury', host: 'primary', orbitAU: 0.387, albedo: 0.088 },
+        { name: 'Venus', host: 'primary', orbitAU: 0.723, albedo: 0.76 },
+        { name: 'Earth', host: 'primary', orbitAU: 1.0, albedo: 0.306 },
+        { name: 'Mars', host: 'primary', orbitAU: 1.524, albedo: 0.25 },
+        { name: 'Jupiter', host: 'primary', orbitAU: 5.203, albedo: 0.343 },
+      ],
+    },
+  },
+  {
+    id: 'sirius',
+    name: 'Sirius',
+    category: 'Real stars',
+    description: 'The brightest star in the night sky, at 230 Myr: Sirius A (2.06 M☉) with the white dwarf left by a ~5 M☉ companion. '
+      + 'The orbit starts at 10 AU, the widest the controls allow, and widens to ~23 AU as the dying star sheds mass (the real one is 19.8 AU).',
+    settings: {
+      masses: { primary: 5, secondary: 2.06 },
+      binary: true,
+      orbit: { separationAU: 10, eccentricity: 0.59 },
+      time: { ageYears: 2.3e8 },
+      observer: { distancePc: 2.64, extinctionMag: 0 },
+    },
+  },
+  {
+    id: 'algol',
+    name: 'Algol',
+    category: 'Real stars',
+    description: 'The “demon star”, an eclipsing pair with today’s masses (3.17 + 0.70 M☉, 0.062 AU). Its lighter star is the evolved one '
+      + 'because it gave most of its mass away; started afresh here, the heavier star evolves first and the pair merges.',
+    settings: {
+      masses: { primary: 3.17, secondary: 0.7 },
+      binary: true,
+      orbit: { separationAU: 0.062 },
+      observer: { distancePc: 28, extinctionMag: 0 },
+    },
+  },
+  {
+    id: 'betelgeuse',
+    name: 'Betelgeuse',
+    category: 'Real stars',
+    description: 'The red supergiant shoulder of Orion: an 18 M☉ star in its last million years before it explodes.',
+    settings: {
+      masses: { primary: 18 },
+      binary: false,
+      time: { ageYears: 7.7e6 },
+      observer: { distancePc: 168, extinctionMag: 0.6 },
+    },
+  },
+  {
+    id: 'eta-carinae',
+    name: 'Eta Carinae',
+    category: 'Real stars',
+    description: 'A luminous blue variable of ~100 M☉ with a ~30 M☉ companion on an eccentric orbit, shedding mass near the Eddington limit.',
+    settings: {
+      masses: { primary: 100, secondary: 30 },
+      binary: true,
+      orbit: { separationAU: 10, eccentricity: 0.5 },
+      time: { ageYears: 4.1e5 },
+      observer: { distancePc: 2300, extinctionMag: 1.7 },
+    },
+  },
+  {
+    id: 'cygnus-x-1',
+    name: 'Cygnus X-1',
+    category: 'Real stars',
+    description: 'The first black hole found: a ~22 M☉ black hole, born by direct collapse, orbiting a ~30 M☉ blue supergiant '
+      + 'that has just left the main sequence.',
+    settings: {
+      masses: { primary: 40, secondary: 30 },
+      binary: true,
+      orbit: { separationAU: 2 },
+      time: { ageYears: 2.052e6 },
+      observer: { distancePc: 2220, extinctionMag: 2.9 },
+    },
+  },
+  {
+    id: 'hulse-taylor',
+    name: 'Hulse–Taylor pulsar',
+    category: 'Real stars',
+    description: 'PSR B1913+16, a pulsar with a neutron-star companion on a tight eccentric orbit that shrinks by gravitational waves. '
+      + 'Kicks are lowered to 50 km/s so the second supernova leaves the pair bound.',
+    settings: {
+      masses: { primary: 10, secondary: 9.5 },
+      binary: true,
+      orbit: { separationAU: 2 },
+      kicks: { sigmaKms: 50, seed: 2 },
+      time: { ageYears: 4e7 },
+      observer: { distancePc: 6400 },
+    },
+  },
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Copy of base with the settings laid over it; nested objects merge, anything else replaces
+function mergeSettings(base, settings) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(settings)) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeSettings(base[key], value) : value;
+  }
+  return out;
+}
+
+// Full scenario for a preset. base holds the defaults a built-in preset starts from.
+export function presetScenario(preset, base) {
+  if (preset.scenario) return preset.scenario;
+  return mergeSettings({ ...base, time: { ...base.time, ageYears: 0 }, planets: [] }, preset.settings);
+}
+
+export function cleanPresetText(text) {
+  return typeof text === 'string' ? text.trim().slice(0, NAME_LENGTH) : '';
+}
+
+// Presets grouped by category, in first-seen order: [{ category, presets }]
+export function groupPresets(presets) {
+  const groups = new Map();
+  for (const preset of presets) {
+    if (!groups.has(preset.category)) groups.set(preset.category, []);
+    groups.get(preset.category).push(preset);
+  }
+  return [...groups].map(([category, list]) => ({ category, presets: list }));
+}
+
+// The user's presets; entries that no longer validate are dropped. Storage can be unavailable
+// (private browsing, blocked cookies), in which case there are none.
+export function loadUserPresets(storage) {
+  let data;
+  try {
+    data = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(data)) return [];
+  return data.filter(p => isPlainObject(p)
+    && typeof p.id === 'string'
+    && cleanPresetText(p.name) && cleanPresetText(p.category)
+    && !validateScenario(p.scenario).error)
+    // Scenarios saved by an older version come back upgraded
+    .map(({ id, name, category, scenario }) => ({
+      id, name: cleanPresetText(name), category: cleanPresetText(category), scenario: validateScenario(scenario).scenario,
+    }));
+}
+
+// Store the user's presets; returns whether the storage accepted them
+export function saveUserPresets(storage, presets) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function makeUserPreset(name, category, scenario) {
+  return {
+    id: `user-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+    name: cleanPresetText(name),
+    category: cleanPresetText(category) || DEFAULT_USER_CATEGORY,
+    scenario,
+  };
+}
@@ -0,0 +1,122 @@
+// Roche equipotential shapes for drawing: contours of the co-rotating potential traced with
+// marching squares, in the frame of rochePotential (primary at the origin, secondary at (1, 0),
+// lengths in units of the separation). Shapes depend only on the mass ratio, so the last
+// result is cached and the renderer just places it along the line of centres.
+
+import { clamp, lagrangePoints, rochePotential } from './simulation.js';
+
+const X_MIN = -1.6;
+const X_MAX = 2.6;
+const Y_MAX = 1.4;
+const NX = 210;
+const NY = 141;
+const Q_RESOLUTION = 200; // cache steps per decade of mass ratio
+
+let cached = null;
+
+function sampleGrid(q) {
+  const values = new Float64Array(NX * NY);
+  for (let j = 0; j < NY; j++) {
+    const y = -Y_MAX + (2 * Y_MAX * j) / (NY - 1);
+    for (let i = 0; i < NX; i++) {
+      const x = X_MIN + ((X_MAX - X_MIN) * i) / (NX - 1);
+      values[j * NX + i] = rochePotential(x, y, q);
+    }
+  }
+  return values;
+}
+
+function gridIndex(x, y) {
+  const i = Math.round((x - X_MIN) / (X_MAX - X_MIN) * (NX - 1));
+  const j = Math.round((y + Y_MAX) / (2 * Y_MAX) * (NY - 1));
+  return clamp(j, 0, NY - 1) * NX + clamp(i, 0, NX - 1);
+}
+
+// The potential also falls below any level far from both stars (the centrifugal term), so only
+// the region connected to the stars counts as inside; everything else is lifted above the level.
+function maskedField(values, level) {
+  const field = new Float64Array(values.length);
+  field.fill(level + 1);
+  const stack = [gridIndex(0, 0), gridIndex(1, 0)];
+  while (stack.length) {
+    const k = stack.pop();
+    if (field[k] < level || !(values[k] < level)) continue;
+    field[k] = values[k];
+    const i = k % NX;
+    if (i > 0) stack.push(k - 1);
+    if (i < NX - 1) stack.push(k + 1);
+    if (k >= NX) stack.push(k - NX);
+    if (k < values.length - NX) stack.push(k + NX);
+  }
+  return field;
+}
+
+// Line segments [x1, y1, x2, y2] where the field crosses the level
+function marchingSquares(field, level) {
+  const segments = [];
+  const dx = (X_MAX - X_MIN) / (NX - 1);
+  const dy = (2 * Y_MAX) / (NY - 1);
+  const cross = (xa, ya, va, xb, yb, vb) => {
+    const t = Number.isFinite(va) ? clamp((level - va) / (vb - va), 0, 1) : 1;
+    return [xa + (xb - xa) * t, ya + (yb - ya) * t];
+  };
+  for (let j = 0; j < NY - 1; j++) {
+    const y0 = -Y_MAX + j * dy;
+    const y1 = y0 + dy;
+    for (let i = 0; i < NX - 1; i++) {
+      const x0 = X_MIN + i * dx;
+      const x1 = x0 + dx;
+      // Corners counter-clockwise from bottom-left
+      const v0 = field[j * NX + i];
+      const v1 = field[j * NX + i + 1];
+      const v2 = field[(j + 1) * NX + i + 1];
+      const v3 = field[(j + 1) * NX + i];
+      const in0 = v0 < level;
+      const in1 = v1 < level;
+      const in2 = v2 < level;
+      const in3 = v3 < level;
+      if (in0 === in1 && in1 === in2 && in2 === in3) continue;
+      // Crossings on the bottom, right, top and left edges
+      const edges = [
+        in0 !== in1 ? cross(x0, y0, v0, x1, y0, v1) : null,
+        in1 !== in2 ? cross(x1, y0, v1, x1, y1, v2) : null,
+        in2 !== in3 ? cross(x1, y1, v2, x0, y1, v3) : null,
+        in3 !== in0 ? cross(x0, y1, v3, x0, y0, v0) : null,
+      ];
+      const hits = edges.filter(Boolean);
+      if (hits.length === 2) {
+        segments.push([...hits[0], ...hits[1]]);
+      } else {
+        // Saddle cell: the centre value decides which corners are joined
+        const centreIn = (v0 + v1 + v2 + v3) / 4 < level;
+        if (centreIn === in0) {
+          segments.push([...edges[0], ...edges[1]], [...edges[2], ...edges[3]]);
+        } else {
+          segments.push([...edges[3], ...edges[0]], [...edges[1], ...edges[2]]);
+        }
+      }
+    }
+  }
+  return segments;
+}
+
+// Lagrange points, the critical (L1) lobes and a few neighbouring equipotentials for a mass
+// ratio q = M₂/M₁. Extra contours: two nested surfaces inside each lobe and the one through L2.
+export function rocheGeometry(q) {
+  const key = Math.round(Math.log10(clamp(q, 1e-3, 1e3)) * Q_RESOLUTION);
+  if (cached && cached.key === key) return cached;
+  const qq = Math.pow(10, key / Q_RESOLUTION);
+  const points = lagrangePoints(qq);
+  const values = sampleGrid(qq);
+  const phiL1 = rochePotential(points.L1.x, 0, qq);
+  const phiL2 = rochePotential(points.L2.x, 0, qq);
+  const contour = (level) => marchingSquares(maskedField(values, level), level);
+  cached = {
+    key,
+    q: qq,
+    points,
+    critical: contour(phiL1),
+    extra: [contour(phiL1 * 1.25), contour(phiL1 * 1.08), contour(phiL2 - 1e-4 * Math.abs(phiL2))],
+  };
+  return cached;
+}
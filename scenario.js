@@ -0,0 +1,128 @@
+// Scenarios: a versioned snapshot of the controls (stars, orbit, physics options, time, camera,
+// observer and planets) that can be saved as a JSON file or carried in the URL hash.
+
+import { KICK_DISTRIBUTIONS, MAX_MASS, MIN_MASS, TRANSFER_MODES } from './simulation.js';
+
+export const SCENARIO_FORMAT = 'stellar-life-scenario';
+export const SCENARIO_VERSION = 2;
+const HASH_KEY = 'scenario';
+
+// Older versions brought up to date, one version at a time
+const UPGRADES = {
+  // Version 2 added formation delays; version 1 stars formed together
+  1: (data) => ({ ...data, version: 2, formation: { delayPrimaryYears: 0, delaySecondaryYears: 0 } }),
+};
+
+// Every field is required. Numbers are [path, min, max]; the ranges match the controls.
+const NUMBER_FIELDS = [
+  ['masses.primary', MIN_MASS, MAX_MASS],
+  ['masses.secondary', MIN_MASS, MAX_MASS],
+  ['formation.delayPrimaryYears', 0, 1e10],
+  ['formation.delaySecondaryYears', 0, 1e10],
+  ['metallicity', 0, 0.04],
+  ['orbit.separationAU', 0.01, 10],
+  ['orbit.eccentricity', 0, 0.9],
+  ['transfer.ratePerMyr', 0, 0.2],
+  ['transfer.lossFraction', 0, 1],
+  ['commonEnvelope.alpha', 0.1, 5],
+  ['commonEnvelope.lambda', 0.05, 2],
+  ['kicks.sigmaKms', 0, 2000],
+  ['kicks.seed', 0, 4294967295],
+  ['time.speed', 0.1, 200],
+  ['time.ageYears', 0, 1e14],
+  ['camera.zoom', 0.1, 12],
+  ['camera.offsetX', -1e6, 1e6],
+  ['camera.offsetY', -1e6, 1e6],
+  ['observer.distancePc', 1, 1e6],
+  ['observer.extinctionMag', 0, 30],
+];
+const BOOLEAN_FIELDS = ['binary', 'time.autoScale'];
+const CHOICE_FIELDS = [
+  ['transfer.mode', Object.keys(TRANSFER_MODES)],
+  ['kicks.distribution', Object.keys(KICK_DISTRIBUTIONS)],
+  ['camera.follow', [null, 'primary', 'secondary']],
+];
+const MAX_PLANETS = 20;
+const PLANET_NAME_LENGTH = 24;
+
+function valueAt(data, path) {
+  return path.split('.').reduce((obj, key) => (obj !== null && typeof obj === 'object' ? obj[key] : undefined), data);
+}
+
+// Reason a planet entry is invalid, or null
+function planetProblem(planet, i) {
+  const where = `planets[${i}]`;
+  if (planet === null || typeof planet !== 'object') return `${where} must be an object`;
+  if (typeof planet.name !== 'string' || !planet.name.trim() || planet.name.length > PLANET_NAME_LENGTH) {
+    return `${where}.name must be a non-empty string of at most ${PLANET_NAME_LENGTH} characters`;
+  }
+  if (planet.host !== 'primary' && planet.host !== 'secondary') return `${where}.host must be "primary" or "secondary"`;
+  if (!Number.isFinite(planet.orbitAU) || planet.orbitAU < 0.01 || planet.orbitAU > 1000) {
+    return `${where}.orbitAU must be a number from 0.01 to 1000`;
+  }
+  if (!Number.isFinite(planet.albedo) || planet.albedo < 0 || planet.albedo > 0.99) {
+    return `${where}.albedo must be a number from 0 to 0.99`;
+  }
+  return null;
+}
+
+// Check a parsed scenario: { scenario } when it is valid, otherwise { error } with the first problem
+export function validateScenario(data) {
+  const fail = (error) => ({ scenario: null, error });
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) return fail('A scenario must be a JSON object');
+  if (data.format !== SCENARIO_FORMAT) return fail(`Not a scenario file (format should be "${SCENARIO_FORMAT}")`);
+  while (UPGRADES[data.version]) data = UPGRADES[data.version](data);
+  if (data.version !== SCENARIO_VERSION) {
+    return fail(`Unsupported scenario version ${JSON.stringify(data.version)} (this version reads ${SCENARIO_VERSION})`);
+  }
+  for (const [path, min, max] of NUMBER_FIELDS) {
+    const v = valueAt(data, path);
+    if (v === undefined) return fail(`Missing ${path}`);
+    if (!Number.isFinite(v)) return fail(`${path} must be a number`);
+    if (v < min || v > max) return fail(`${path} = ${v} is out of range (${min} to ${max})`);
+  }
+  if (!Number.isInteger(data.kicks.seed)) return fail('kicks.seed must be a whole number');
+  for (const path of BOOLEAN_FIELDS) {
+    if (typeof valueAt(data, path) !== 'boolean') return fail(`${path} must be true or false`);
+  }
+  for (const [path, choices] of CHOICE_FIELDS) {
+    if (!choices.includes(valueAt(data, path))) {
+      return fail(`${path} must be one of ${choices.map(c => JSON.stringify(c)).join(', ')}`);
+    }
+  }
+  if (!Array.isArray(data.planets)) return fail('planets must be a list');
+  if (data.planets.length > MAX_PLANETS) return fail(`At most ${MAX_PLANETS} planets are allowed`);
+  for (let i = 0; i < data.planets.length; i++) {
+    const problem = planetProblem(data.planets[i], i);
+    if (problem) return fail(problem);
+  }
+  if (data.planets.some(p => p.host === 'secondary') && !data.binary) return fail('Planets can orbit the secondary only in a binary');
+  return { scenario: data, error: null };
+}
+
+export function parseScenarioJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { scenario: null, error: `Not valid JSON: ${e.message}` };
+  }
+  return validateScenario(data);
+}
+
+export function scenarioToJSON(scenario) {
+  return JSON.stringify(scenario, null, 2);
+}
+
+// URL hash carrying the scenario, e.g. "#scenario=%7B..."
+export function scenarioToHash(scenario) {
+  return `#${HASH_KEY}=${encodeURIComponent(JSON.stringify(scenario))}`;
+}
+
+// Scenario from a URL hash: null when the hash carries none, otherwise the validation result
+export function scenarioFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get(HASH_KEY);
+  if (encoded === null) return null;
+  return parseScenarioJSON(encoded);
+}
@@ -0,0 +1,1935 @@
+// Stellar Life Simulator — simulation core
+// Headless physics model: no DOM access, so it runs the same in the browser and in Node.
+
+// Units and constants
+export const YEAR = 1; // abstract year unit
+export const MYR = 1e6 * YEAR; // million years
+export const GYR = 1e9 * YEAR; // billion years
+
+// Fate thresholds (rough educational values) at solar metallicity. These are what the remnant
+// model below produces for isolated stars; fateThresholds(z) gives them for other compositions.
+export const WD_MAX = 8; // M_sun upper bound to end as white dwarf
+export const NS_MAX = 20; // 8-20 neutron star
+// >= 20 black hole
+export const HYDROGEN_BURNING_MASS = 0.075; // lighter objects never ignite hydrogen: brown dwarfs
+const BROWN_DWARF_RADIUS_RSUN = 0.1; // degenerate brown dwarfs of any mass are about the size of Jupiter
+
+// End states by CSS key, for the fate scale and its legend. Black holes form in a supernova with
+// fallback, by direct collapse (no explosion), or after pair-instability pulses; a full
+// pair-instability supernova leaves nothing.
+export const END_STATES = {
+  bd: 'Brown Dwarf',
+  wd: 'White Dwarf',
+  ns: 'Neutron Star',
+  bh: 'Black Hole',
+  dc: 'Direct Collapse',
+  ppisn: 'Pulsational Pair Instability',
+  pisn: 'Pair-Instability Supernova',
+};
+
+// Metallicity (mass fraction of elements heavier than helium)
+export const Z_SUN = 0.02;
+const Z_FLOOR = Z_SUN * 1e-5; // metal-free (Population III) stars are treated as this
+export const POPULATIONS = {
+  'Population I': 0.02, // young disk stars like the Sun
+  'Population II': 0.0004, // old halo and globular-cluster stars
+  'Population III': 0, // first stars, no metals at all
+};
+
+// Post-main-sequence phases
+export const HELIUM_FLASH_MAX_MASS = 2; // M_sun; lighter stars ignite helium in a degenerate core
+const PLANETARY_NEBULA_YEARS = 3e4; // visible lifetime of the ejected shell
+const THERMAL_PULSES = 8; // helium shell flashes shown on the thermally pulsing AGB
+
+// CSS-friendly key for every stage and end state, used for colours and timeline segments
+export const STAGE_KEYS = {
+  'Protostar': 'protostar',
+  'Main Sequence': 'ms',
+  'Deuterium Burning': 'deuterium',
+  'Subgiant': 'subgiant',
+  'Red Giant Branch': 'rgb',
+  'Helium Flash': 'he-flash',
+  'Horizontal Branch': 'hb',
+  'Red Clump': 'clump',
+  'AGB': 'agb',
+  'Planetary Nebula': 'pn',
+  'Blue Supergiant': 'bsg',
+  'Red Supergiant': 'rsg',
+  'Luminous Blue Variable': 'lbv',
+  'Wolf–Rayet': 'wr',
+  'Brown Dwarf': 'bd',
+  'White Dwarf': 'wd',
+  'Neutron Star': 'ns',
+  'Black Hole': 'bh',
+};
+
+// Remnant mass limits
+export const CHANDRASEKHAR_MASS = 1.44; // M_sun, maximum white dwarf mass
+export const TOV_MASS = 2.3; // M_sun, maximum neutron star mass (Tolman–Oppenheimer–Volkoff)
+
+// Pair instability: helium cores in this range are partly or wholly blown apart by
+// explosive oxygen burning after pair creation softens the core (Woosley 2017)
+const PPISN_MIN_CORE = 35;
+const PISN_MIN_CORE = 65;
+const PISN_MAX_CORE = 130; // above this photodisintegration wins and the core collapses
+const PPISN_MAX_REMNANT = 45; // black holes left by pulsations pile up below the mass gap
+
+// Mass limits accepted by makeStar, and the floor a donor can be stripped to
+export const MIN_MASS = 0.01;
+export const MAX_MASS = 300;
+const MIN_STRIPPED_MASS = 0.1;
+
+// Above this mass radiation pressure holds the star up, L grows only as M^1.5 and the
+// main-sequence lifetime barely shortens
+const EDDINGTON_BREAK_MASS = 50;
+
+export function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+// Human-readable age in kyr / Myr / Gyr
+export function prettyYears(years) {
+  if (!Number.isFinite(years)) return '—';
+  if (years < 1e6) return `${(years / 1e3).toFixed(1)} kyr`;
+  if (years < 1e9) return `${(years / 1e6).toFixed(1)} Myr`;
+  return `${(years / 1e9).toFixed(2)} Gyr`;
+}
+
+// log10(Z/Z☉), floored so metal-free stars stay finite
+export function metallicityIndex(z = Z_SUN) {
+  return Math.log10(Math.max(z, Z_FLOOR) / Z_SUN);
+}
+
+// Name of the stellar population a metallicity belongs to
+export function populationForZ(z) {
+  if (z <= 0) return 'Population III';
+  return z < 0.004 ? 'Population II' : 'Population I';
+}
+
+// Stellar relations (simplified)
+export function msLifetimeYears(mass, z = Z_SUN) {
+  // t_MS ≈ 10 Gyr × M^(-2.5); metal-poor stars burn a little faster
+  const scaling = mass > EDDINGTON_BREAK_MASS
+    ? Math.pow(EDDINGTON_BREAK_MASS, -2.5) * Math.pow(mass / EDDINGTON_BREAK_MASS, -0.5)
+    : Math.pow(mass, -2.5);
+  return 10 * GYR * scaling * Math.pow(10, 0.04 * metallicityIndex(z));
+}
+
+// Brown dwarfs burn deuterium while they contract; the lightest take longest
+export function deuteriumBurningYears(mass) {
+  return 20 * MYR * Math.pow(mass / 0.05, -2);
+}
+
+export function luminosityLsun(mass, z = Z_SUN) {
+  // Brown dwarfs glow faintly from contraction and deuterium burning
+  if (mass < HYDROGEN_BURNING_MASS) return 1e-4 * Math.pow(mass / 0.05, 2);
+  // L ~ M^3.5, brighter at low Z (lower opacity); clamp extremes for educational visuals
+  const scaling = mass > EDDINGTON_BREAK_MASS
+    ? Math.pow(EDDINGTON_BREAK_MASS, 3.5) * Math.pow(mass / EDDINGTON_BREAK_MASS, 1.5)
+    : Math.pow(mass, 3.5);
+  return clamp(scaling * Math.pow(10, -0.08 * metallicityIndex(z)), 0.001, 1e8);
+}
+
+export function radiusRsun(mass, z = Z_SUN) {
+  if (mass < HYDROGEN_BURNING_MASS) return BROWN_DWARF_RADIUS_RSUN;
+  // R ~ M^0.8 (rough), more compact at low Z
+  return clamp(Math.pow(mass, 0.8) * Math.pow(10, 0.08 * metallicityIndex(z)), 0.05, 2000);
+}
+
+export function temperatureK(l, r) {
+  // T/Tsun ≈ (L/R^2)^(1/4), Tsun ≈ 5772K
+  const ratio = Math.pow(l / Math.pow(r, 2), 0.25);
+  return clamp(5772 * ratio, 2000, 200000);
+}
+
+// Radius of a photosphere with luminosity L and temperature T (inverse of temperatureK)
+function radiusForLT(l, t) {
+  return Math.sqrt(l) * Math.pow(5772 / t, 2);
+}
+
+// Largest initial mass that still ends with a degenerate CO core (lower at low Z)
+export function wdMaxMass(z = Z_SUN) {
+  return clamp(WD_MAX + 0.4 * metallicityIndex(z), 6, WD_MAX);
+}
+
+// Lowest initial masses whose winds strip them to Wolf–Rayet stars, and that pass through a
+// luminous blue variable phase instead of becoming red supergiants. Weaker winds at low Z raise both.
+export function wolfRayetMinMass(z = Z_SUN) {
+  return clamp(25 - 10 * metallicityIndex(z), 25, 2 * MAX_MASS);
+}
+
+export function lbvMinMass(z = Z_SUN) {
+  return clamp(40 - 10 * metallicityIndex(z), 40, 2 * MAX_MASS);
+}
+
+// Winds (simplified)
+export function msWindRatePerYear(L, z = Z_SUN) {
+  // Line-driven wind: Ṁ ≈ 1e-14 M☉/yr × L^1.4 × (Z/Z☉)^0.85 (Sun ~1e-14, O stars ~1e-6)
+  return 1e-14 * Math.pow(L, 1.4) * Math.pow(10, 0.85 * metallicityIndex(z));
+}
+
+export function giantWindEfficiency(mEvol, z = Z_SUN) {
+  // Envelope e-folds lost over the giant phase: AGB superwinds strip low-mass stars almost
+  // completely, red supergiant winds remove a growing share of the envelope with mass
+  const wdMax = wdMaxMass(z);
+  if (mEvol < wdMax) return 4;
+  // Supergiant winds are metal-driven and fade at low Z
+  const eff = 0.3 + 1.7 * clamp((mEvol - wdMax) / (EDDINGTON_BREAK_MASS - wdMax), 0, 1);
+  return eff * Math.pow(10, 0.5 * Math.min(metallicityIndex(z), 0));
+}
+
+// Wolf–Rayet winds erode the helium cores of the most massive stars; metal-poor stars keep theirs
+function maxHeliumCoreMass(z = Z_SUN) {
+  return 25 * Math.pow(10, -metallicityIndex(z));
+}
+
+// Core mass (helium / carbon–oxygen) at the end of the star's life
+export function finalCoreMass(mEvol, z = Z_SUN) {
+  // Below the WD limit: initial–final mass relation for white dwarfs, M_f ≈ 0.109 M_i + 0.394
+  if (mEvol < wdMaxMass(z)) return Math.min(0.109 * mEvol + 0.394, mEvol);
+  // Massive stars: helium core ≈ 0.1 M^1.4, somewhat larger at low Z
+  return Math.min(0.1 * Math.pow(mEvol, 1.4) * (1 - 0.04 * metallicityIndex(z)), maxHeliumCoreMass(z), mEvol);
+}
+
+// Helium core left behind at the end of the main sequence
+function tamsCoreMass(mEvol, z) {
+  if (mEvol < HYDROGEN_BURNING_MASS) return 0;
+  return Math.min(0.1 * mEvol, finalCoreMass(mEvol, z));
+}
+
+// Remnant type and mass from the final core and total mass, with its END_STATES key
+export function remnantFor(coreMass, finalMass) {
+  // A degenerate core below the Chandrasekhar mass becomes a white dwarf
+  if (coreMass < CHANDRASEKHAR_MASS) {
+    return { fate: 'White Dwarf', mass: coreMass, endState: 'wd' };
+  }
+  if (coreMass >= PISN_MIN_CORE && coreMass < PISN_MAX_CORE) {
+    return { fate: 'No Remnant', mass: 0, endState: 'pisn' };
+  }
+  if (coreMass >= PISN_MAX_CORE) {
+    return { fate: 'Black Hole', mass: finalMass, endState: 'dc' };
+  }
+  if (coreMass >= PPISN_MIN_CORE) {
+    // Each pulse throws off a shell until the core is small enough to collapse
+    const pulsed = 35 + (PPISN_MAX_REMNANT - 35) * (coreMass - PPISN_MIN_CORE) / (PISN_MIN_CORE - PPISN_MIN_CORE);
+    return { fate: 'Black Hole', mass: Math.min(finalMass, pulsed), endState: 'ppisn' };
+  }
+  // Core collapse: proto-neutron star plus fallback, which grows with core mass. With full
+  // fallback the explosion fails and the whole star collapses quietly.
+  const proto = 1.1 + 0.1 * coreMass;
+  const fallback = clamp((coreMass - 6.6) / 2.4, 0, 1);
+  const mass = proto + fallback * Math.max(finalMass - proto, 0);
+  if (mass < TOV_MASS) return { fate: 'Neutron Star', mass, endState: 'ns' };
+  return { fate: 'Black Hole', mass, endState: fallback >= 1 ? 'dc' : 'bh' };
+}
+
+// Expected remnant for an isolated star of the given (evolutionary) mass
+export function predictRemnant(mass, z = Z_SUN) {
+  if (mass < HYDROGEN_BURNING_MASS) return { fate: 'Brown Dwarf', mass, endState: 'bd' };
+  const tMS = msLifetimeYears(mass, z);
+  const msLoss = Math.min(msWindRatePerYear(luminosityLsun(mass, z), z) * tMS, mass * 0.5);
+  const core = finalCoreMass(mass, z);
+  const envelope = Math.max(mass - msLoss - core, 0);
+  const finalMass = core + envelope * Math.exp(-giantWindEfficiency(mass, z));
+  return remnantFor(core, finalMass);
+}
+
+export function fateForMass(mass, z = Z_SUN) {
+  return predictRemnant(mass, z).fate;
+}
+
+export function endStateForMass(mass, z = Z_SUN) {
+  return predictRemnant(mass, z).endState;
+}
+
+// Initial-mass ranges of each end state for isolated stars, from MIN_MASS to MAX_MASS in order
+// ([{ endState, from, to }]). An end state can appear twice: direct collapse returns above
+// the pair-instability range.
+export function fateZones(z = Z_SUN) {
+  const zones = [];
+  const steps = 400;
+  const massAt = (i) => MIN_MASS * Math.pow(MAX_MASS / MIN_MASS, i / steps);
+  let current = { endState: endStateForMass(MIN_MASS, z), from: MIN_MASS, to: MAX_MASS };
+  for (let i = 1; i <= steps; i++) {
+    if (endStateForMass(massAt(i), z) === current.endState) continue;
+    // Bisect the boundary within this grid cell
+    let lo = massAt(i - 1);
+    let hi = massAt(i);
+    for (let k = 0; k < 30; k++) {
+      const mid = Math.sqrt(lo * hi);
+      if (endStateForMass(mid, z) === current.endState) lo = mid; else hi = mid;
+    }
+    current.to = hi;
+    zones.push(current);
+    current = { endState: endStateForMass(massAt(i), z), from: hi, to: MAX_MASS };
+  }
+  zones.push(current);
+  return zones;
+}
+
+// Initial masses where isolated stars switch from white dwarf to neutron star and
+// from neutron star to black hole (nsMax is MAX_MASS if no black holes form)
+export function fateThresholds(z = Z_SUN) {
+  const wdMax = wdMaxMass(z);
+  const ns = fateZones(z).find(zone => zone.endState === 'ns');
+  return { wdMax, nsMax: ns ? ns.to : MAX_MASS };
+}
+
+// Accreting white dwarfs
+const NOVA_RETAINED = 0.1; // share of each ignited hydrogen layer that stays on the white dwarf
+
+// Zero-temperature white dwarf radius (Nauenberg 1972)
+export function whiteDwarfRadiusRsun(mass) {
+  const x = Math.pow(clamp(mass, 0.05, CHANDRASEKHAR_MASS * 0.999) / CHANDRASEKHAR_MASS, 2 / 3);
+  return 0.0112 * Math.sqrt(1 / x - x);
+}
+
+// Radius of a remnant in R_sun (neutron stars ~12 km, black holes their Schwarzschild radius)
+export function remnantRadiusRsun(star) {
+  if (star.fate === 'Brown Dwarf') return BROWN_DWARF_RADIUS_RSUN;
+  if (star.fate === 'White Dwarf') return whiteDwarfRadiusRsun(star.massCurrent);
+  if (star.fate === 'Neutron Star') return 1.5e-5;
+  return Math.max(2.95 * star.massCurrent / 696000, 5e-6); // 2.95 km per M☉
+}
+
+// Radius used for Roche lobe tests: the star itself, or its remnant once it has ended
+export function currentRadiusRsun(star) {
+  return star.ended ? remnantRadiusRsun(star) : starParams(star).R;
+}
+
+// Accretion power
+const LSUN_ERG_S = 3.828e33;
+const L_EDDINGTON_LSUN = 1.26e38 / LSUN_ERG_S; // per M_sun, for ionised hydrogen
+const C2_ERG_PER_MSUN_YR = 1.989e33 * 8.988e20 / 3.156e7; // c² × (1 M_sun/yr) in erg/s
+const BH_EFFICIENCY = 0.1; // share of rest-mass energy radiated by a disk around a black hole
+
+// Share of the rest-mass energy of accreted gas released as radiation: GM/(Rc²) at the
+// accretor's surface, or the disk's inner edge for a black hole
+export function accretionEfficiency(star) {
+  if (star.fate === 'Black Hole') return BH_EFFICIENCY;
+  const rsKm = 2.95 * star.massCurrent; // Schwarzschild radius
+  return Math.min(rsKm / 2 / (remnantRadiusRsun(star) * 696000), BH_EFFICIENCY * 3);
+}
+
+export function eddingtonLuminosityLsun(mass) {
+  return L_EDDINGTON_LSUN * mass;
+}
+
+// Accretion rate (M_sun/yr) at which radiation pressure balances gravity
+export function eddingtonAccretionRate(star) {
+  return eddingtonLuminosityLsun(star.massCurrent) * LSUN_ERG_S / (accretionEfficiency(star) * C2_ERG_PER_MSUN_YR);
+}
+
+export function accretionLuminosityLsun(star, mdotPerYear) {
+  return accretionEfficiency(star) * mdotPerYear * C2_ERG_PER_MSUN_YR / LSUN_ERG_S;
+}
+
+// Accretion rates (M_sun/yr) bounding steady hydrogen burning on a white dwarf's surface
+// (after Nomoto et al. 2007): below `low` the fuel piles up and ignites in nova flashes,
+// above `high` the excess is blown away in an optically thick wind
+export function steadyBurningRates(mWD) {
+  const high = Math.max(6.7e-7 * (mWD - 0.445), 2e-8);
+  return { low: 0.4 * high, high };
+}
+
+// Hydrogen layer mass that ignites a nova: P_crit = G M ΔM / (4π R⁴). Hotter, faster-accreting
+// envelopes ignite at lower pressure, so recurrence times shorten at high accretion rates.
+export function novaIgnitionMass(mWD, mdotPerYear) {
+  const G = 6.674e-8;
+  const RSUN_CM = 6.957e10;
+  const MSUN_G = 1.989e33;
+  const pCrit = 1e20 * Math.pow(Math.max(mdotPerYear, 1e-12) / 1e-9, -1 / 3); // dyn/cm²
+  const R = whiteDwarfRadiusRsun(mWD) * RSUN_CM;
+  return 4 * Math.PI * Math.pow(R, 4) * pCrit / (G * mWD * MSUN_G) / MSUN_G;
+}
+
+// Ejecta: planetary nebulae and supernova remnants, aged in simulation time
+const PC_PER_KMS_YEAR = 1.023e-6; // distance covered in a year at 1 km/s, in parsecs
+export const ISM_DENSITY = 1; // hydrogen atoms per cm³ around the system
+const SN_ENERGY_ERG = 1e51;
+const PN_EXPANSION_KMS = 25;
+const PN_FADE_YEARS = 3e4;
+const SNR_DISPERSAL_KMS = 10; // slower shells merge with the turbulent interstellar medium
+
+// Post-shock temperature of a blast wave, T = 3 μ m_p v² / 16 k with μ = 0.6
+function shockTemperatureK(speedKms) {
+  return 1.36e7 * Math.pow(speedKms / 1000, 2);
+}
+
+// Shell ejected at the tip of the AGB: it coasts outwards, glows while the hot core ionises it,
+// then recombines and cools as it thins out
+export function planetaryNebulaState(ageYears) {
+  const age = Math.max(ageYears, 0);
+  const brightness = Math.exp(-age / PN_FADE_YEARS);
+  return {
+    phase: age < PN_FADE_YEARS ? 'Ionised shell' : 'Recombining',
+    radiusPc: PN_EXPANSION_KMS * age * PC_PER_KMS_YEAR,
+    speedKms: PN_EXPANSION_KMS,
+    temperatureK: 1e4 / (1 + Math.pow(age / PN_FADE_YEARS, 2)),
+    brightness,
+    visible: brightness > 0.02,
+  };
+}
+
+// Supernova blast wave: free expansion until it has swept up about its own mass, the Sedov–Taylor
+// solution R = 0.314 pc (E₅₁/n)^(1/5) t^(2/5) after that, and a radiative snowplough (R ∝ t^(2/7))
+// once the shell cools (Cioffi et al. 1988)
+export function supernovaRemnantState(ageYears, ejectaMass, energyErg = SN_ENERGY_ERG, density = ISM_DENSITY) {
+  const age = Math.max(ageYears, 1);
+  const e51 = energyErg / 1e51;
+  const freeSpeedKms = Math.sqrt(2 * energyErg / (Math.max(ejectaMass, 0.1) * 1.989e33)) / 1e5;
+  const sedovRadius = (t) => 0.314 * Math.pow(e51 / density, 0.2) * Math.pow(t, 0.4);
+  const tRadiative = 2.9e4 * Math.pow(e51, 4 / 17) * Math.pow(density, -9 / 17);
+
+  let phase;
+  let radiusPc;
+  let speedKms;
+  const freeRadius = freeSpeedKms * age * PC_PER_KMS_YEAR;
+  if (age >= tRadiative) {
+    phase = 'Radiative';
+    radiusPc = sedovRadius(tRadiative) * Math.pow(age / tRadiative, 2 / 7);
+    speedKms = (2 / 7) * radiusPc / age / PC_PER_KMS_YEAR;
+  } else if (freeRadius < sedovRadius(age)) {
+    phase = 'Free expansion';
+    radiusPc = freeRadius;
+    speedKms = freeSpeedKms;
+  } else {
+    phase = 'Sedov–Taylor';
+    radiusPc = sedovRadius(age);
+    speedKms = 0.4 * radiusPc / age / PC_PER_KMS_YEAR;
+  }
+  const dispersed = speedKms < SNR_DISPERSAL_KMS;
+  return {
+    phase: dispersed ? 'Merged with the ISM' : phase,
+    radiusPc,
+    speedKms,
+    temperatureK: shockTemperatureK(speedKms),
+    brightness: dispersed ? 0 : Math.min(1, tRadiative / age),
+    visible: !dispersed,
+  };
+}
+
+// Current state of an ejecta record at system time t
+export function ejectaState(ejecta, t) {
+  const age = t - ejecta.bornAt;
+  const state = ejecta.kind === 'planetary-nebula'
+    ? planetaryNebulaState(age)
+    : supernovaRemnantState(age, ejecta.ejectaMass);
+  // Scrubbed to before the ejection: not there yet
+  return { ...state, ageYears: age, visible: age >= 0 && state.visible };
+}
+
+// Planets: circular orbits around one star, with the star's light setting their temperature
+export const EARTH_ALBEDO = 0.3;
+
+// Conservative habitable zone (Kopparapu et al. 2013): runaway greenhouse inside, maximum
+// greenhouse outside. The flux limits depend on the star's colour; the fit holds for 2600–7200 K.
+const HZ_LIMITS = {
+  inner: [1.0512, 1.3242e-4, 1.5418e-8, -7.9895e-12, -1.8328e-15],
+  outer: [0.3438, 5.8942e-5, 1.6558e-9, -3.0045e-12, -5.2983e-16],
+};
+
+function effectiveFlux([s, a, b, c, d], temperatureK) {
+  const t = clamp(temperatureK, 2600, 7200) - 5780;
+  return s + a * t + b * t * t + c * t * t * t + d * t * t * t * t;
+}
+
+// Inner and outer edges of the habitable zone in AU for a star of L (L_sun) and T (K)
+export function habitableZoneAU(L, temperatureK) {
+  return {
+    inner: Math.sqrt(L / effectiveFlux(HZ_LIMITS.inner, temperatureK)),
+    outer: Math.sqrt(L / effectiveFlux(HZ_LIMITS.outer, temperatureK)),
+  };
+}
+
+// Blackbody equilibrium temperature of a fast rotator: 278.6 K at 1 AU from the Sun for albedo 0
+export function equilibriumTemperatureK(L, orbitAU, albedo = EARTH_ALBEDO) {
+  return 278.6 * Math.pow(L * (1 - albedo), 0.25) / Math.sqrt(orbitAU);
+}
+
+// Where an orbit sits relative to the host's current habitable zone ('hot', 'habitable' or
+// 'cold'). Remnants are not followed as they cool, so they have no habitable zone.
+export function planetConditions(host, orbitAU, albedo = EARTH_ALBEDO) {
+  if (host.ended) return { hz: null, temperatureK: null, zone: null };
+  const { L, T } = starParams(host);
+  const hz = habitableZoneAU(L, T);
+  const zone = orbitAU < hz.inner ? 'hot' : orbitAU > hz.outer ? 'cold' : 'habitable';
+  return { hz, temperatureK: equilibriumTemperatureK(L, orbitAU, albedo), zone };
+}
+
+// Rotation. Stars carry spin angular momentum J = k M R² Ω (cgs), so they spin down as they
+// swell and spin up as they contract; remnants keep a spin period (and a black hole its spin a*).
+const G_CGS = 6.674e-8;
+const C_CGS = 2.998e10;
+const MSUN_CGS = 1.989e33;
+const RSUN_CGS = 6.957e10;
+export const YEAR_S = 3.156e7;
+const GYRATION = { star: 0.1, 'Brown Dwarf': 0.2, 'White Dwarf': 0.2, 'Neutron Star': 0.35 }; // k in I = k M R²
+const NS_RADIUS_CM = 1.2e6;
+const CORE_SPIN_RETAINED = 1e-3; // magnetic torques drain the core into the envelope before collapse (Heger et al. 2005)
+const MIN_SPIN_PERIOD_S = 7e-4; // neutron stars spinning faster would be torn apart
+const PULSAR_BIRTH_FIELD_G = Math.pow(10, 12.5);
+const MIN_FIELD_G = 1e8; // recycled pulsars keep a residual field
+const FIELD_DECAY_MASS = 1e-4; // M_sun; B ∝ 1 / (1 + ΔM_accreted / this) (Shibazaki et al. 1989)
+const DIPOLE_FIELD_CONSTANT = 3.2e19; // B = 3.2×10¹⁹ √(P Ṗ) G for a spinning magnetic dipole
+export const PULSAR_DEATH_LINE = 0.17e12; // B / P² in G s⁻² below which radio emission stops (Chen & Ruderman 1993)
+const MERGER_BH_SPIN = 0.69; // spin left by a merger of two similar compact objects
+
+// Zero-age equatorial speed in km/s: slow below the Kraft break near 1.3 M☉ (magnetised winds
+// brake the star), fast above. Brown dwarfs have no such winds and keep spinning fast.
+const ZAMS_ROTATION = [[0.01, 10], [0.07, 20], [0.1, 1], [1, 2], [1.3, 30], [1.6, 100], [3, 180], [50, 150]];
+
+function zamsRotationKms(mass) {
+  const m = clamp(mass, ZAMS_ROTATION[0][0], ZAMS_ROTATION[ZAMS_ROTATION.length - 1][0]);
+  const i = Math.max(ZAMS_ROTATION.findIndex(([mi]) => mi >= m), 1);
+  const [m0, v0] = ZAMS_ROTATION[i - 1];
+  const [m1, v1] = ZAMS_ROTATION[i];
+  return v0 + (v1 - v0) * Math.log(m / m0) / Math.log(m1 / m0);
+}
+
+// Radius in cm and moment of inertia in g cm² of a star or remnant
+function spinBody(star) {
+  if (!star.ended) return { R: starParams(star).R * RSUN_CGS, k: GYRATION.star };
+  if (star.fate === 'Brown Dwarf') return { R: remnantRadiusRsun(star) * RSUN_CGS, k: GYRATION['Brown Dwarf'] };
+  if (star.fate === 'White Dwarf') return { R: whiteDwarfRadiusRsun(star.massCurrent) * RSUN_CGS, k: GYRATION['White Dwarf'] };
+  return { R: NS_RADIUS_CM, k: GYRATION['Neutron Star'] };
+}
+
+function momentOfInertia(star) {
+  const { R, k } = spinBody(star);
+  return k * star.massCurrent * MSUN_CGS * R * R;
+}
+
+function breakupOmega(star) {
+  const { R } = spinBody(star);
+  return Math.sqrt(G_CGS * star.massCurrent * MSUN_CGS / (R * R * R));
+}
+
+// Spin period in seconds of a living star or a white dwarf / neutron star (Infinity if not spinning)
+export function rotationPeriodSeconds(star) {
+  if (star.ended) return star.spinPeriodS ?? Infinity;
+  const omega = star.spinJ / momentOfInertia(star);
+  return omega > 0 ? 2 * Math.PI / omega : Infinity;
+}
+
+export function equatorialVelocityKms(star) {
+  if (star.fate === 'Black Hole' && star.ended) return null;
+  return 2 * Math.PI * spinBody(star).R / rotationPeriodSeconds(star) / 1e5;
+}
+
+// Magnetic-dipole spin-down rate of a pulsar
+export function pulsarPdot(periodS, fieldG) {
+  return Math.pow(fieldG / DIPOLE_FIELD_CONSTANT, 2) / periodS;
+}
+
+// A neutron star shines as a radio pulsar above the death line and while nothing is falling on it
+export function isActivePulsar(star) {
+  return star.ended && star.fate === 'Neutron Star' && star.spinPeriodS !== null
+    && star.accretionRate === 0 && star.magneticFieldG / Math.pow(star.spinPeriodS, 2) >= PULSAR_DEATH_LINE;
+}
+
+function setRemnantSpin(star, omega) {
+  star.spinPeriodS = Math.max(2 * Math.PI / Math.min(omega, breakupOmega(star)), star.fate === 'Neutron Star' ? MIN_SPIN_PERIOD_S : 0);
+}
+
+// Winds and Roche-lobe overflow leave from the surface with (2/3) R² Ω per unit mass, so
+// dJ / J = (2 / 3k) dm / M
+function loseSurfaceSpin(star, dm) {
+  const M = star.massCurrent;
+  if (dm <= 0 || M <= 0) return;
+  star.spinJ *= Math.pow(M / (M + dm), 2 / (3 * GYRATION.star));
+}
+
+// Gas arriving from a disk brings the Keplerian angular momentum at the surface; a star
+// cannot spin faster than break-up
+function gainSurfaceSpin(star, dm) {
+  const { R } = spinBody(star);
+  star.spinJ += dm * MSUN_CGS * Math.sqrt(G_CGS * star.massCurrent * MSUN_CGS * R);
+  star.spinJ = Math.min(star.spinJ, momentOfInertia(star) * breakupOmega(star));
+}
+
+// Spin of the remnant formed from a star with angular momentum J: only a small share of the core's
+// angular momentum survives to collapse. A brown dwarf simply keeps its own.
+function spinAtCollapse(star, J, massBefore) {
+  if (star.fate === 'No Remnant') return;
+  if (star.fate === 'Brown Dwarf') {
+    setRemnantSpin(star, J / momentOfInertia(star));
+    return;
+  }
+  const jRemnant = CORE_SPIN_RETAINED * J * star.massCurrent / massBefore;
+  if (star.fate === 'Black Hole') {
+    star.bhSpin = blackHoleSpin(jRemnant, star.massCurrent);
+    return;
+  }
+  setRemnantSpin(star, jRemnant / momentOfInertia(star));
+  if (star.fate === 'Neutron Star') {
+    star.magneticFieldG = PULSAR_BIRTH_FIELD_G;
+    star.spinPdot = pulsarPdot(star.spinPeriodS, star.magneticFieldG);
+  }
+}
+
+// Dimensionless spin a* = cJ / GM², short of the Thorne limit
+function blackHoleSpin(J, mass) {
+  return clamp(C_CGS * J / (G_CGS * Math.pow(mass * MSUN_CGS, 2)), 0, 0.998);
+}
+
+// A neutron star pushed over the maximum mass keeps its angular momentum as it collapses
+function collapseSpinToBlackHole(star) {
+  star.bhSpin = star.spinPeriodS ? blackHoleSpin(momentOfInertia(star) * 2 * Math.PI / star.spinPeriodS, star.massCurrent) : 0;
+  clearPulsar(star);
+}
+
+function clearPulsar(star) {
+  star.spinPeriodS = null;
+  star.spinPdot = 0;
+  star.magneticFieldG = null;
+  star.spinAccreted = 0;
+}
+
+// A white dwarf fed from a disk spins up with the Keplerian angular momentum at its surface
+function spinUpWhiteDwarf(star, dm) {
+  if (star.spinPeriodS === null || dm <= 0) return;
+  const { R } = spinBody(star);
+  const omega = 2 * Math.PI / star.spinPeriodS + dm * MSUN_CGS * Math.sqrt(G_CGS * star.massCurrent * MSUN_CGS * R) / momentOfInertia(star);
+  setRemnantSpin(star, omega);
+}
+
+// Magnetic dipole braking at constant field: P² grows by 2 (B / 3.2×10¹⁹)² per second
+function spinDownPulsar(star, dtYears) {
+  if (star.fate !== 'Neutron Star' || star.spinPeriodS === null || dtYears <= 0) return;
+  const b = star.magneticFieldG / DIPOLE_FIELD_CONSTANT;
+  star.spinPeriodS = Math.sqrt(star.spinPeriodS * star.spinPeriodS + 2 * b * b * dtYears * YEAR_S);
+  star.spinPdot = pulsarPdot(star.spinPeriodS, star.magneticFieldG);
+}
+
+// Recycling: accreted gas buries the field and the disk, cut off at the magnetosphere, spins the
+// neutron star up towards the equilibrium period where the inner disk co-rotates with it
+function spinUpNeutronStar(star, dm, mdotPerYear, dtYears) {
+  if (star.spinPeriodS === null || dm <= 0 || dtYears <= 0) return;
+  star.spinAccreted += dm;
+  star.magneticFieldG = Math.max(PULSAR_BIRTH_FIELD_G / (1 + star.spinAccreted / FIELD_DECAY_MASS), MIN_FIELD_G);
+  const M = star.massCurrent * MSUN_CGS;
+  const mdot = mdotPerYear * MSUN_CGS / YEAR_S;
+  const mu = star.magneticFieldG * Math.pow(NS_RADIUS_CM, 3);
+  // Inner disk edge: half the Alfvén radius, and never inside the star
+  const rm = Math.max(0.5 * Math.pow(Math.pow(mu, 4) / (2 * G_CGS * M * mdot * mdot), 1 / 7), NS_RADIUS_CM);
+  const omegaEq = Math.sqrt(G_CGS * M / (rm * rm * rm));
+  const omega = 2 * Math.PI / star.spinPeriodS;
+  if (omega >= omegaEq) return;
+  const spun = Math.min(omega + dm * MSUN_CGS * Math.sqrt(G_CGS * M * rm) / momentOfInertia(star), omegaEq);
+  const before = star.spinPeriodS;
+  setRemnantSpin(star, spun);
+  star.spinPdot = (star.spinPeriodS - before) / (dtYears * YEAR_S);
+}
+
+export function makeStar(initialMass, z = Z_SUN) {
+  const mass = clamp(initialMass, MIN_MASS, MAX_MASS);
+  const star = {
+    massInitial: mass,
+    massCurrent: mass,
+    z, // metallicity
+    massCore: 0, // helium / CO core, grows with age
+    windLost: 0, // total mass carried off by winds
+    remnantMass: null, // set when the star ends
+    endState: null, // END_STATES key for how the star ended
+    accretionRate: 0, // M_sun/yr received as a remnant during the last step
+    accretionLuminosity: 0, // L_sun radiated by that accretion
+    eddingtonLimited: false, // the last step's supply exceeded the Eddington rate
+    hydrogenShell: 0, // unburned accreted layer on a white dwarf, ignites as a nova
+    novae: 0, // nova eruptions so far
+    spinJ: 0, // spin angular momentum while the star shines (g cm² s⁻¹)
+    spinPeriodS: null, // white dwarf or neutron star spin period
+    spinPdot: 0, // its rate of change (s/s); negative while accretion spins it up
+    magneticFieldG: null, // neutron star dipole field
+    spinAccreted: 0, // M_sun accreted by a neutron star, burying its field
+    bhSpin: null, // dimensionless black hole spin a*
+    age: 0, // years since the star formed; negative while it waits out its formation delay
+    bornAt: 0, // system age at which the star's age is zero
+    ended: false,
+    fate: fateForMass(mass, z),
+  };
+  resetStarTimes(star);
+  star.spinJ = GYRATION.star * mass * MSUN_CGS * radiusRsun(mass, z) * RSUN_CGS * zamsRotationKms(mass) * 1e5;
+  return star;
+}
+
+// Mass the star's interior evolves with: current mass without wind losses,
+// so mass gained or lost in transfer changes the core but winds do not
+export function evolutionaryMass(star) {
+  return star.massCurrent + star.windLost;
+}
+
+// Post-main-sequence phases for an evolutionary mass, as [name, fraction of the MS lifetime,
+// share of the giant-phase wind]. Stars that end as white dwarfs climb the giant branches and
+// lose most of their envelope on the AGB; heavier helium cores ignite without a flash. Massive
+// stars become supergiants; the heaviest lose their envelopes as LBVs or Wolf–Rayet stars
+// (the Conti scenario).
+function postMainSequencePhases(mEvol, z, tMS) {
+  if (mEvol < wdMaxMass(z)) {
+    return [
+      ['Subgiant', 0.04, 0.02],
+      ['Red Giant Branch', 0.04, 0.25],
+      ...(mEvol < HELIUM_FLASH_MAX_MASS ? [['Helium Flash', 0.0005, 0]] : []),
+      // Metal-poor helium-burning stars sit on the blue horizontal branch, metal-rich ones in the clump
+      [populationForZ(z) === 'Population I' ? 'Red Clump' : 'Horizontal Branch', 0.015, 0.03],
+      ['AGB', 0.004, 0.65],
+      ['Planetary Nebula', PLANETARY_NEBULA_YEARS / tMS, 0.05],
+    ];
+  }
+  if (mEvol >= lbvMinMass(z)) return [['Luminous Blue Variable', 0.03, 0.6], ['Wolf–Rayet', 0.07, 0.4]];
+  if (mEvol >= wolfRayetMinMass(z)) {
+    return [['Blue Supergiant', 0.01, 0.05], ['Red Supergiant', 0.05, 0.6], ['Wolf–Rayet', 0.04, 0.35]];
+  }
+  return [['Blue Supergiant', 0.01, 0.1], ['Red Supergiant', 0.09, 0.9]];
+}
+
+// Recompute phase durations from the current mass (absolute age is kept)
+function resetStarTimes(star) {
+  const mEvol = evolutionaryMass(star);
+  const brownDwarf = mEvol < HYDROGEN_BURNING_MASS;
+  const tMS = brownDwarf ? deuteriumBurningYears(mEvol) : msLifetimeYears(mEvol, star.z);
+  star.tProtostar = tMS * 0.01; // 1% of MS lifetime
+  star.tMS = tMS;
+  // Brown dwarfs fade straight from deuterium burning into their end state
+  star.phases = (brownDwarf ? [] : postMainSequencePhases(mEvol, star.z, tMS)).map(([name, f, windShare]) => ({ name, duration: f * tMS, windShare }));
+  star.tGiant = star.phases.reduce((sum, p) => sum + p.duration, 0); // all post-MS phases
+  star.tTotal = star.tProtostar + star.tMS + star.tGiant;
+}
+
+// Age at which the named phase begins, or null if the star never passes through it
+export function phaseStartAge(star, name) {
+  let start = star.tProtostar + star.tMS;
+  for (const phase of star.phases) {
+    if (phase.name === name) return start;
+    start += phase.duration;
+  }
+  return null;
+}
+
+// Name of the star's main-sequence stage: brown dwarfs only ever burn deuterium
+export function mainSequenceStage(star) {
+  return evolutionaryMass(star) < HYDROGEN_BURNING_MASS ? 'Deuterium Burning' : 'Main Sequence';
+}
+
+// Current phase of a living star: its name, start age, duration and progress f (0–1)
+export function phaseForStar(star) {
+  let start = 0;
+  const all = [
+    { name: 'Protostar', duration: star.tProtostar },
+    { name: mainSequenceStage(star), duration: star.tMS },
+    ...star.phases,
+  ];
+  for (const phase of all) {
+    if (star.age < start + phase.duration) {
+      return { name: phase.name, start, duration: phase.duration, f: clamp((star.age - start) / phase.duration, 0, 1) };
+    }
+    start += phase.duration;
+  }
+  const last = all[all.length - 1];
+  return { name: last.name, start: start - last.duration, duration: last.duration, f: 1 };
+}
+
+// The star exists: it has waited out its formation delay
+export function isFormed(star) {
+  return star.age >= 0;
+}
+
+export function stageForStar(star) {
+  if (!isFormed(star)) return 'Not yet formed';
+  if (star.ended || star.age >= star.tTotal) return star.fate;
+  return phaseForStar(star).name;
+}
+
+// Remnant the star has (after its end) or is heading for
+export function remnantForStar(star) {
+  if (star.ended) return { fate: star.fate, mass: star.remnantMass, endState: star.endState };
+  return predictRemnant(evolutionaryMass(star), star.z);
+}
+
+// Grow the core and remove wind mass over dtYears
+function evolveStarMass(star, dtYears) {
+  const mEvol = evolutionaryMass(star);
+  const coreTAMS = tamsCoreMass(mEvol, star.z);
+  const msStart = star.tProtostar;
+  const giantStart = star.tProtostar + star.tMS;
+
+  let coreTarget = 0;
+  if (star.age >= giantStart) {
+    const f = clamp((star.age - giantStart) / star.tGiant, 0, 1);
+    coreTarget = coreTAMS + (finalCoreMass(mEvol, star.z) - coreTAMS) * f;
+  } else if (star.age >= msStart) {
+    coreTarget = coreTAMS * clamp((star.age - msStart) / star.tMS, 0, 1);
+  }
+  star.massCore = Math.min(Math.max(star.massCore, coreTarget), star.massCurrent);
+
+  // Winds only remove the envelope: mass that will not end up in the final core
+  const coreFinal = Math.min(finalCoreMass(mEvol, star.z), star.massCurrent);
+  let dm = 0;
+  if (star.age >= giantStart) {
+    // Envelope decays exponentially (stable for large steps); each phase removes its share of the e-folds
+    const envelope = Math.max(star.massCurrent - coreFinal, 0);
+    const phase = star.phases.find(p => p.name === phaseForStar(star).name);
+    const share = phase ? phase.windShare / phase.duration : 1 / star.tGiant;
+    dm = envelope * (1 - Math.exp(-giantWindEfficiency(mEvol, star.z) * dtYears * share));
+  } else if (star.age >= msStart) {
+    dm = msWindRatePerYear(luminosityLsun(star.massCurrent, star.z), star.z) * dtYears;
+  }
+  dm = Math.min(dm, Math.max(star.massCurrent - Math.max(coreFinal, MIN_STRIPPED_MASS), 0));
+  star.massCurrent -= dm;
+  star.windLost += dm;
+  return dm;
+}
+
+// Where each post-main-sequence phase ends on the HR diagram ({ L in L_sun, T in K }). The star
+// moves between these points log-linearly, starting from its main-sequence position.
+function phaseEndpoints(star, msL, msT) {
+  const m = evolutionaryMass(star);
+  // Follow the track the phases were laid out for: winds can carry the mass across the boundary
+  if (star.phases.some(p => p.name === 'AGB')) {
+    const degenerate = m < HELIUM_FLASH_MAX_MASS;
+    // Degenerate cores climb to the RGB tip at ~2500 L☉ (core ≈ 0.47 M☉); heavier cores ignite early
+    const tipL = degenerate ? 2500 : 10 * msL;
+    const coreHeliumL = degenerate ? 50 : 0.6 * tipL;
+    const coreHeliumT = populationForZ(star.z) === 'Population I' ? 4800 : 9000;
+    const agbL = Math.max(5000, 3 * tipL);
+    return {
+      'Subgiant': { L: 2 * msL, T: Math.min(0.9 * msT, 5000) },
+      'Red Giant Branch': { L: tipL, T: degenerate ? 3200 : 4000 },
+      'Helium Flash': { L: coreHeliumL, T: coreHeliumT },
+      'Horizontal Branch': { L: 1.2 * coreHeliumL, T: 0.9 * coreHeliumT },
+      'Red Clump': { L: 1.2 * coreHeliumL, T: 0.95 * coreHeliumT },
+      'AGB': { L: agbL, T: 3000 },
+      // The exposed core crosses to the left at constant luminosity
+      'Planetary Nebula': { L: 0.8 * agbL, T: 100000 },
+    };
+  }
+  // Massive stars keep nearly constant luminosity while their radius changes
+  return {
+    'Blue Supergiant': { L: 1.2 * msL, T: Math.min(msT, 12000) },
+    'Red Supergiant': { L: 1.5 * msL, T: 3500 },
+    'Luminous Blue Variable': { L: 1.1 * msL, T: 15000 },
+    'Wolf–Rayet': { L: 0.8 * msL, T: 80000 },
+  };
+}
+
+// Short-lived variability on top of the smooth track: helium shell flashes in the second half
+// of the AGB and S Doradus excursions plus a giant eruption for LBVs
+function phaseVariability(name, f) {
+  if (name === 'AGB' && f > 0.5) {
+    const pulse = ((f - 0.5) / 0.5 * THERMAL_PULSES) % 1;
+    const strength = Math.sin(Math.PI * (f - 0.5) / 0.5); // fades out as the envelope is lost
+    return { L: 1 + strength * (0.6 * Math.exp(-pulse / 0.04) - 0.25 * Math.exp(-Math.pow((pulse - 0.3) / 0.15, 2))), T: 1 };
+  }
+  if (name === 'Luminous Blue Variable') {
+    return {
+      L: 1 + 2 * Math.exp(-Math.pow((f - 0.5) / 0.03, 2)),
+      T: Math.pow(10, 0.25 * Math.sin(2 * Math.PI * 6 * f)),
+    };
+  }
+  return { L: 1, T: 1 };
+}
+
+// Current L, R, T and stage label for a star
+export function starParams(star) {
+  const msL = luminosityLsun(star.massCurrent, star.z);
+  const msR = radiusRsun(star.massCurrent, star.z);
+  const msT = temperatureK(msL, msR);
+  const stage = stageForStar(star);
+  // Brown dwarfs have no post-MS phases: they only cool
+  if (star.ended || !star.phases.length || star.age < star.tProtostar + star.tMS) {
+    return { L: msL, R: msR, T: msT, stage };
+  }
+
+  // Walk the post-MS phases up to the current one
+  const ends = phaseEndpoints(star, msL, msT);
+  const phase = phaseForStar(star);
+  let from = { L: msL, T: msT };
+  for (const p of star.phases) {
+    if (p.name === phase.name) break;
+    from = ends[p.name];
+  }
+  const to = ends[phase.name];
+  const wobble = phaseVariability(phase.name, phase.f);
+  const L = Math.pow(from.L, 1 - phase.f) * Math.pow(to.L, phase.f) * wobble.L;
+  const R = clamp(radiusForLT(L, Math.pow(from.T, 1 - phase.f) * Math.pow(to.T, phase.f) * wobble.T), 0.01, 3000);
+  return { L, R, T: temperatureK(L, R), stage };
+}
+
+// Binary helpers
+export function rocheLobeRadiusAU(mDonor, mAccretor, separationAU) {
+  // Eggleton approximation: RL/a = 0.49 q^(2/3) / [0.6 q^(2/3) + ln(1+q^(1/3))], q = mDonor/mAccretor
+  const q = clamp(mDonor / mAccretor, 1e-3, 1e3);
+  const q13 = Math.cbrt(q);
+  const q23 = q13 * q13;
+  const rlOverA = 0.49 * q23 / (0.6 * q23 + Math.log(1 + q13));
+  return rlOverA * separationAU;
+}
+
+// Distance of the inner Lagrange point L1 from the star of mass m1 (Plavec & Kratochvil 1964)
+export function lagrangeL1DistanceAU(m1, m2, separationAU) {
+  const q = clamp(m2 / m1, 1e-3, 1e3);
+  return clamp(0.5 - 0.227 * Math.log10(q), 0.05, 0.95) * separationAU;
+}
+
+// Roche potential in the frame co-rotating with a circular orbit, in units of a and G(M₁+M₂)/a.
+// The primary sits at the origin and the secondary at (1, 0); q = M₂/M₁.
+export function rochePotential(x, y, q) {
+  const mu = q / (1 + q);
+  const r1 = Math.hypot(x, y);
+  const r2 = Math.hypot(x - 1, y);
+  const dx = x - mu;
+  return -(1 - mu) / r1 - mu / r2 - 0.5 * (dx * dx + y * y);
+}
+
+// The five Lagrange points in the same frame. L1–L3 lie on the line of centres (found by
+// bisection on ∂Φ/∂x) with L2 behind the lighter star; L4 leads the secondary by 60° and L5 trails it.
+export function lagrangePoints(q) {
+  const ratio = clamp(q, 1e-3, 1e3);
+  const mu = ratio / (1 + ratio);
+  const slope = (x) => (1 - mu) * x / Math.pow(Math.abs(x), 3) + mu * (x - 1) / Math.pow(Math.abs(x - 1), 3) - (x - mu);
+  const root = (lo, hi) => {
+    const signLo = Math.sign(slope(lo));
+    for (let i = 0; i < 60; i++) {
+      const mid = 0.5 * (lo + hi);
+      if (Math.sign(slope(mid)) === signLo) lo = mid; else hi = mid;
+    }
+    return 0.5 * (lo + hi);
+  };
+  const beyondSecondary = root(1 + 1e-6, 3);
+  const beyondPrimary = root(-3, -1e-6);
+  return {
+    L1: { x: root(1e-6, 1 - 1e-6), y: 0 },
+    L2: { x: ratio <= 1 ? beyondSecondary : beyondPrimary, y: 0 },
+    L3: { x: ratio <= 1 ? beyondPrimary : beyondSecondary, y: 0 },
+    L4: { x: 0.5, y: Math.sqrt(3) / 2 },
+    L5: { x: 0.5, y: -Math.sqrt(3) / 2 },
+  };
+}
+
+export function stellarRadiusAU(Rsun) {
+  // 1 AU ≈ 215 R_sun
+  return Rsun / 215;
+}
+
+// Orbits (circular; AU, M_sun, years so that G = 4π²)
+const G_AU = 4 * Math.PI * Math.PI;
+export const MIN_SEPARATION_AU = 0.001;
+export const MAX_SEPARATION_AU = 1000;
+
+export function orbitalPeriodYears(separationAU, mTotal) {
+  // Kepler's third law: P² = a³ / M
+  return Math.sqrt(Math.pow(separationAU, 3) / mTotal);
+}
+
+export function orbitalAngularMomentum(separationAU, m1, m2) {
+  // J = m1 m2 √(G a / M)
+  return m1 * m2 * Math.sqrt(G_AU * separationAU / (m1 + m2));
+}
+
+function separationFromAngularMomentum(J, m1, m2) {
+  const x = J / (m1 * m2);
+  return x * x * (m1 + m2) / G_AU;
+}
+
+// Eccentric anomaly E from mean anomaly M (Kepler's equation M = E − e sin E, Newton iteration)
+export function solveKepler(meanAnomaly, e) {
+  let E = e < 0.8 ? meanAnomaly : Math.PI;
+  for (let i = 0; i < 30; i++) {
+    const dE = (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-10) break;
+  }
+  return E;
+}
+
+// Relative orbit in its own plane (periastron along +x), in units of the semi-major axis
+export function relativeOrbitPosition(meanAnomaly, e) {
+  const E = solveKepler(meanAnomaly, e);
+  return {
+    x: Math.cos(E) - e,
+    y: Math.sqrt(1 - e * e) * Math.sin(E),
+    r: 1 - e * Math.cos(E), // instantaneous separation / a
+  };
+}
+
+// Supernova kicks
+const KMS_TO_AU_PER_YEAR = 0.2109; // 1 km/s in AU/yr
+const NS_KICK_MASS = 1.4; // black-hole kicks are scaled down by 1.4 M☉ / M_BH (momentum conservation)
+
+// Seedable pseudo-random generator (mulberry32); returns floats in [0, 1).
+// createRng(rng.state()) continues the same sequence.
+export function createRng(seed = 1) {
+  let s = seed >>> 0;
+  const rng = () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.state = () => s;
+  return rng;
+}
+
+function gaussian(rng) {
+  // Box–Muller
+  const u = Math.max(rng(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Natal kick speed distributions (km/s). sigma is the Maxwellian dispersion or the fixed speed.
+export const KICK_DISTRIBUTIONS = {
+  maxwellian: {
+    // Pulsar proper motions: σ ≈ 265 km/s (Hobbs et al. 2005)
+    label: 'Maxwellian',
+    sample: (rng, sigma) => sigma * Math.hypot(gaussian(rng), gaussian(rng), gaussian(rng)),
+  },
+  fixed: { label: 'Fixed speed', sample: (rng, sigma) => sigma },
+  none: { label: 'No kick (mass loss only)', sample: () => 0 },
+};
+
+// Kick vector (km/s) in a random direction
+function sampleKick(rng, distribution, sigma) {
+  const speed = (KICK_DISTRIBUTIONS[distribution] || KICK_DISTRIBUTIONS.maxwellian).sample(rng, sigma);
+  const cosT = 2 * rng() - 1;
+  const sinT = Math.sqrt(1 - cosT * cosT);
+  const phi = 2 * Math.PI * rng();
+  return { x: speed * sinT * Math.cos(phi), y: speed * sinT * Math.sin(phi), z: speed * cosT };
+}
+
+// Orbit after one star explodes: instantaneous mass loss plus a kick (km/s) added to the
+// relative velocity at the given mean anomaly. Unbound systems report the speed at infinity.
+export function orbitAfterSupernova({ separationAU, eccentricity = 0, meanAnomaly = 0, mExploding, mRemnant, mCompanion, kick }) {
+  const a = separationAU;
+  const e = eccentricity;
+  const E = solveKepler(meanAnomaly, e);
+  const denom = 1 - e * Math.cos(E);
+  const n = 2 * Math.PI / orbitalPeriodYears(a, mExploding + mCompanion);
+  const pos = { x: a * (Math.cos(E) - e), y: a * Math.sqrt(1 - e * e) * Math.sin(E) };
+  const r = a * denom;
+  const vx = -n * a * Math.sin(E) / denom + kick.x * KMS_TO_AU_PER_YEAR;
+  const vy = n * a * Math.sqrt(1 - e * e) * Math.cos(E) / denom + kick.y * KMS_TO_AU_PER_YEAR;
+  const vz = kick.z * KMS_TO_AU_PER_YEAR;
+
+  const M = mRemnant + mCompanion;
+  const energy = (vx * vx + vy * vy + vz * vz) / 2 - G_AU * M / r;
+  if (energy >= 0) {
+    return { bound: false, escapeSpeedKms: Math.sqrt(2 * energy) / KMS_TO_AU_PER_YEAR };
+  }
+  const a2 = -G_AU * M / (2 * energy);
+  // Specific angular momentum h = r × v
+  const hx = pos.y * vz;
+  const hy = -pos.x * vz;
+  const hz = pos.x * vy - pos.y * vx;
+  const h2 = hx * hx + hy * hy + hz * hz;
+  const e2 = Math.sqrt(Math.max(0, 1 - h2 / (G_AU * M * a2)));
+  return { bound: true, separationAU: a2, eccentricity: e2 };
+}
+
+// Gravitational-wave inspiral (Peters 1964), in AU, years and M_sun
+const C_AU_PER_YEAR = 63239.7; // speed of light
+const GW_RADIATED_FRACTION = 0.05; // share of the total mass carried off as gravitational waves at merger
+const KILONOVA_EJECTA = 0.05; // M_sun of neutron-rich debris thrown out when a neutron star is torn apart
+
+// β in da/dt = −β / a³ for a circular orbit
+function petersBeta(m1, m2) {
+  return (64 / 5) * Math.pow(G_AU, 3) * m1 * m2 * (m1 + m2) / Math.pow(C_AU_PER_YEAR, 5);
+}
+
+// Time until coalescence: the circular result a⁴ / 4β, shortened by (1 − e²)^(7/2) with the
+// correction fitted by Mandel (2021) so high eccentricities stay accurate
+export function gwMergerTimeYears(separationAU, eccentricity, m1, m2) {
+  const e = clamp(eccentricity, 0, 0.999);
+  const tCircular = Math.pow(separationAU, 4) / (4 * petersBeta(m1, m2));
+  const fit = 1 + 0.27 * Math.pow(e, 10) + 0.33 * Math.pow(e, 20) + 0.2 * Math.pow(e, 1000);
+  return tCircular * Math.pow(1 - e * e, 3.5) * fit;
+}
+
+// Peters' a(e) track: a ∝ e^(12/19) (1 + 121/304 e²)^(870/2299) / (1 − e²)
+function petersShape(e) {
+  return Math.pow(e, 12 / 19) * Math.pow(1 + (121 / 304) * e * e, 870 / 2299) / (1 - e * e);
+}
+
+// Separation and eccentricity after dtYears of gravitational-wave emission. Rather than
+// integrating the stiff da/dt, de/dt equations, step along Peters' a(e) track to the point
+// whose merger time is dtYears shorter. merged is true if coalescence happens within dtYears.
+export function gwDecay(separationAU, eccentricity, m1, m2, dtYears) {
+  const tMerge = gwMergerTimeYears(separationAU, eccentricity, m1, m2);
+  if (dtYears >= tMerge) return { separationAU: 0, eccentricity: 0, merged: true };
+  const target = tMerge - dtYears;
+  if (eccentricity < 1e-6) {
+    return { separationAU: separationAU * Math.pow(target / tMerge, 0.25), eccentricity: 0, merged: false };
+  }
+  const k = separationAU / petersShape(eccentricity);
+  let lo = 0;
+  let hi = eccentricity;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (gwMergerTimeYears(k * petersShape(mid), mid, m1, m2) > target) hi = mid; else lo = mid;
+  }
+  const e = (lo + hi) / 2;
+  const a = e > 1e-9 ? k * petersShape(e) : separationAU * Math.pow(target / tMerge, 0.25);
+  return { separationAU: a, eccentricity: e, merged: false };
+}
+
+// How mass that leaves the binary during transfer carries angular momentum. gamma() returns
+// the specific angular momentum of the lost matter in units of the binary's J / M.
+export const TRANSFER_MODES = {
+  conservative: { label: 'Conservative', gamma: () => 0 },
+  isotropic: { label: 'Isotropic re-emission (from accretor)', gamma: (md, ma) => md / ma },
+  jeans: { label: 'Jeans mode (fast wind from donor)', gamma: (md, ma) => ma / md },
+  circumbinary: {
+    // Keplerian ring at 1.5 a around the whole binary
+    label: 'Circumbinary ring',
+    gamma: (md, ma) => ((md + ma) * (md + ma) / (md * ma)) * Math.sqrt(1.5),
+  },
+};
+
+// New separation after the donor loses dm, of which a fraction beta leaves the system
+export function separationAfterTransfer(separationAU, mDonor, mAccretor, dm, beta, gamma) {
+  const J = orbitalAngularMomentum(separationAU, mDonor, mAccretor);
+  const M = mDonor + mAccretor;
+  const lost = beta * dm;
+  const J2 = Math.max(J - gamma * (J / M) * lost, 0);
+  const a2 = separationFromAngularMomentum(J2, mDonor - dm, mAccretor + dm - lost);
+  return clamp(a2, MIN_SEPARATION_AU, MAX_SEPARATION_AU);
+}
+
+// Common envelope (Hurley, Tout & Pols 2002 conventions)
+export const CE_ALPHA = 1; // share of released orbital energy that goes into unbinding the envelope
+export const CE_LAMBDA = 0.5; // envelope structure parameter in E_bind = G M M_env / (λ R)
+const MERGER_MASS_LOSS = 0.1; // share of the lighter star's mass ejected when two stars merge
+
+// Largest donor/accretor mass ratio for which Roche lobe overflow stays stable
+export function criticalMassRatio(star) {
+  // Radiative envelopes (main sequence and the subgiant crossing of the Hertzsprung gap) shrink
+  // as they lose mass; convective giant envelopes expand, so giants go unstable at much smaller
+  // ratios unless the core dominates
+  if (!isPostMainSequence(star) || phaseForStar(star).name === 'Subgiant') return 3;
+  const coreFraction = star.massCurrent > 0 ? star.massCore / star.massCurrent : 0;
+  return (1.67 - 0.3 + 2 * Math.pow(coreFraction, 5)) / 2.13;
+}
+
+// Fraction of the main sequence already burned (0 before it starts)
+function msProgress(star) {
+  return clamp((star.age - star.tProtostar) / star.tMS, 0, 1);
+}
+
+function isCollapsedRemnant(star) {
+  return star.ended && (star.fate === 'Neutron Star' || star.fate === 'Black Hole');
+}
+
+function isPostMainSequence(star) {
+  return star.age >= star.tProtostar + star.tMS;
+}
+
+// Radius of a naked helium core (roughly a helium main-sequence star)
+export function strippedCoreRadiusRsun(coreMass) {
+  return 0.2 * Math.pow(Math.max(coreMass, 1e-3), 0.6);
+}
+
+// Post-common-envelope separation from the α–λ energy budget: the envelope binding energy
+// G M_d M_env / (λ R_d) is paid by α × the change in orbital energy G M_c M_a / 2a.
+export function commonEnvelopeSeparation(separationAU, mDonor, mCore, mAccretor, donorRadiusAU, alpha = CE_ALPHA, lambda = CE_LAMBDA) {
+  const mEnv = Math.max(mDonor - mCore, 0);
+  const inverse = mDonor * mAccretor / separationAU + 2 * mDonor * mEnv / (alpha * lambda * donorRadiusAU);
+  return mCore * mAccretor / inverse;
+}
+
+// Plain fields of a Simulation copied by snapshot(): the age, the orbit and every setting
+const SNAPSHOT_FIELDS = [
+  't', 'binary', 'metallicity', 'separationInitialAU', 'separationAU', 'eccentricityInitial', 'eccentricity',
+  'transferRatePerYear', 'transferMode', 'massLossFraction', 'ceAlpha', 'ceLambda', 'merged', 'unbound',
+  'kickDistribution', 'kickSigmaKms', 'seed', 'formationDelayPrimary', 'formationDelaySecondary',
+];
+
+// Event-driven steps (see nextStepYears): a step resolves each living star's current phase in
+// at least PHASE_SUBSTEPS steps and ends just past the first event it would otherwise cross
+const PHASE_SUBSTEPS = 50;
+const ROCHE_SAMPLES = 8; // points per step where a star's radius is compared with its Roche lobe
+const ROCHE_PRECISION = 1e-3; // share of the step that Roche lobe contact is located to
+const EVENT_OVERSHOOT = 1e-12; // relative: landing just past a phase boundary puts the star in the new phase
+
+// Years until the star forms, its next phase begins or it ends (after the last phase)
+function yearsToNextPhase(star) {
+  let boundary = 0;
+  for (const duration of [star.tProtostar, star.tMS, ...star.phases.map(p => p.duration), 0]) {
+    if (boundary > star.age) return boundary * (1 + EVENT_OVERSHOOT) - star.age;
+    boundary += duration;
+  }
+  return Infinity;
+}
+
+function restoreStar(star, saved) {
+  for (const key of Object.keys(star)) {
+    if (!(key in saved)) delete star[key];
+  }
+  Object.assign(star, structuredClone(saved));
+}
+
+// Single star or binary evolved in abstract years. Listeners receive plain event objects:
+//   { type: 'star-ended', star, which, ejectaMass, endState, escapeSpeedKms }  a star reached the end of its
+//       life this step; escapeSpeedKms is set when a pair-instability supernova left nothing to hold its companion
+//   { type: 'wind', star, dm }  mass lost to stellar winds this step
+//   { type: 'transfer', donor, accretor, dm, lost }  mass moved by Roche lobe overflow (lost: left the binary)
+//   { type: 'common-envelope', donor, accretor, outcome, separationBefore, separationAfter, ejectaMass }
+//       unstable transfer engulfed the binary; outcome is 'post-ce' (stripped core survives) or 'merger'
+//   { type: 'merger', star, absorbed, ejectaMass }  the stars coalesced into star1
+//   { type: 'nova', star, count, ejectaMass, recurrenceYears }  hydrogen flashes on an accreting white dwarf this step
+//   { type: 'type-ia', star, which, ejectaMass, escapeSpeedKms }  a white dwarf passed the Chandrasekhar mass and was destroyed
+//   { type: 'kick', star, which, kickKms, bound, separationBefore, separationAfter, eccentricity, escapeSpeedKms }
+//       a core collapse in a binary changed (or unbound) the orbit
+//   { type: 'compact-merger', kind, star, absorbed, masses, remnantMass, ejectaMass }
+//       two neutron stars / black holes coalesced after their gravitational-wave inspiral;
+//       kind is 'NS–NS', 'NS–BH' or 'BH–BH' and star1 becomes the remnant
+//   { type: 'step', dtYears }  emitted last, once per step
+//   { type: 'reset' }  stars were replaced with fresh zero-age stars
+//   { type: 'restore', ageYears }  the whole state was replaced by a snapshot (see snapshot())
+export class Simulation {
+  constructor({
+    massPrimary = 1.0,
+    massSecondary = 0.8,
+    binary = false,
+    separationAU = 0.5,
+    eccentricity = 0,
+    transferRatePerYear = 0.01 / MYR, // M_sun per year when active
+    transferMode = 'conservative', // key of TRANSFER_MODES
+    massLossFraction = 0.5, // share of transferred mass leaving the binary (non-conservative modes)
+    metallicity = Z_SUN, // shared by both stars
+    ceAlpha = CE_ALPHA,
+    ceLambda = CE_LAMBDA,
+    kickDistribution = 'maxwellian', // key of KICK_DISTRIBUTIONS
+    kickSigmaKms = 265,
+    seed = 1, // random source for kicks; reset() replays the same sequence
+    formationDelayPrimary = 0, // years after the first star forms; non-coeval pairs and captured companions
+    formationDelaySecondary = 0,
+  } = {}) {
+    this.t = 0; // system age in years, shared by both stars
+    this.metallicity = metallicity;
+    this.star1 = makeStar(massPrimary, metallicity);
+    this.star2 = makeStar(massSecondary, metallicity);
+    this.binary = binary;
+    this.formationDelayPrimary = formationDelayPrimary;
+    this.formationDelaySecondary = formationDelaySecondary;
+    this.placeOnClock();
+    this.separationInitialAU = separationAU; // restored on reset
+    this.separationAU = separationAU; // semi-major axis; evolves with mass transfer and winds
+    this.eccentricityInitial = eccentricity;
+    this.eccentricity = eccentricity; // a common envelope circularises the orbit
+    this.transferRatePerYear = transferRatePerYear;
+    this.transferMode = transferMode;
+    this.massLossFraction = massLossFraction;
+    this.ceAlpha = ceAlpha;
+    this.ceLambda = ceLambda;
+    this.merged = false; // set once the stars coalesce; star1 is the merger product
+    this.unbound = false; // set once the binary is disrupted
+    this.massTransfer = null; // { donor, accretor, rate } while Roche lobe overflow is stable
+    this.ejecta = []; // planetary nebulae and supernova remnants: { kind, star, which, bornAt, ejectaMass (SNRs) }
+    this.planets = []; // { name, host ('primary' | 'secondary'), orbitInitialAU, orbitAU, albedo, status, statusAt }
+    this.kickDistribution = kickDistribution;
+    this.kickSigmaKms = kickSigmaKms;
+    this.seed = seed;
+    this.rng = createRng(seed);
+    this.listeners = new Set();
+  }
+
+  // Register a listener; returns a function that removes it
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    for (const listener of this.listeners) listener(event);
+  }
+
+  // Two separate stars are being evolved (binary mode, not merged and both formed)
+  get isBinary() {
+    return this.binary && !this.merged && isFormed(this.star1) && isFormed(this.star2);
+  }
+
+  // Stars of the system, including one that has yet to form
+  get members() {
+    return this.binary && !this.merged ? [this.star1, this.star2] : [this.star1];
+  }
+
+  // Stars that currently take part in the simulation
+  get stars() {
+    return this.members.filter(isFormed);
+  }
+
+  // System age at which the last star ends its life (with the lifetimes as they stand now)
+  get lifetimeYears() {
+    return Math.max(...this.members.map(star => star.bornAt + star.tTotal));
+  }
+
+  // Put the stars on the system clock. The clock starts when the first star forms; a star with a
+  // longer formation delay waits at a negative age.
+  placeOnClock() {
+    const delays = [this.formationDelayPrimary, this.formationDelaySecondary];
+    const first = this.binary ? Math.min(...delays) : delays[0];
+    [this.star1, this.star2].forEach((star, i) => {
+      star.bornAt = Math.max(delays[i] - first, 0);
+      star.age = -star.bornAt;
+    });
+  }
+
+  // Restart from zero age with fresh stars of the given masses
+  reset(massPrimary = this.star1.massInitial, massSecondary = this.star2.massInitial) {
+    this.t = 0;
+    this.separationAU = this.separationInitialAU;
+    this.eccentricity = this.eccentricityInitial;
+    this.merged = false;
+    this.unbound = false;
+    this.massTransfer = null;
+    this.ejecta = [];
+    this.rng = createRng(this.seed);
+    this.star1 = makeStar(massPrimary, this.metallicity);
+    this.star2 = makeStar(massSecondary, this.metallicity);
+    this.placeOnClock();
+    this.resetPlanets();
+    this.emit({ type: 'reset' });
+  }
+
+  // A new mass means a new star, so the system's clock restarts with it
+  setPrimaryMass(mass) {
+    this.reset(mass, this.star2.massInitial);
+  }
+
+  setSecondaryMass(mass) {
+    this.reset(this.star1.massInitial, mass);
+  }
+
+  // Set the starting separation (also the current one)
+  setSeparation(separationAU) {
+    this.separationInitialAU = clamp(separationAU, MIN_SEPARATION_AU, MAX_SEPARATION_AU);
+    this.separationAU = this.separationInitialAU;
+  }
+
+  // Change the random seed; the sequence restarts from it
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.rng = createRng(this.seed);
+  }
+
+  // Years after the clock starts at which each star forms; the system restarts
+  setFormationDelays(primaryYears, secondaryYears) {
+    this.formationDelayPrimary = Math.max(primaryYears, 0);
+    this.formationDelaySecondary = Math.max(secondaryYears, 0);
+    this.reset();
+  }
+
+  // Switch binary mode. At the start, formation delays only count in a binary, so unequal ones
+  // move the start of the clock and the system restarts. Later on, a companion switched on joins
+  // the running clock at its own age: a fresh one forms now.
+  setBinary(enabled) {
+    const joining = enabled && !this.binary && this.t > 0;
+    this.binary = enabled;
+    if (joining) this.star2.bornAt = this.t - this.star2.age;
+    else if (this.formationDelayPrimary !== this.formationDelaySecondary) this.reset();
+  }
+
+  // Set the starting eccentricity (also the current one)
+  setEccentricity(e) {
+    this.eccentricityInitial = clamp(e, 0, 0.99);
+    this.eccentricity = this.eccentricityInitial;
+  }
+
+  // Fraction of transferred mass that leaves the binary in the current mode
+  get effectiveLossFraction() {
+    return this.transferMode === 'conservative' ? 0 : clamp(this.massLossFraction, 0, 1);
+  }
+
+  // Both stars are neutron stars or black holes on a bound orbit
+  get isCompactBinary() {
+    return this.isBinary && !this.unbound && [this.star1, this.star2].every(isCollapsedRemnant);
+  }
+
+  // Years until gravitational waves bring a compact binary into contact (Infinity otherwise)
+  get gwMergerTimeYears() {
+    if (!this.isCompactBinary) return Infinity;
+    return gwMergerTimeYears(this.separationAU, this.eccentricity, this.star1.massCurrent, this.star2.massCurrent);
+  }
+
+  // Orbital period of the binary in years
+  get periodYears() {
+    if (this.unbound) return Infinity;
+    return orbitalPeriodYears(this.separationAU, this.star1.massCurrent + this.star2.massCurrent);
+  }
+
+  // Change composition; both stars restart at zero age with their initial masses
+  setMetallicity(z) {
+    this.metallicity = Math.max(z, 0);
+    this.reset();
+  }
+
+  // Advance the system clock by dtYears; every formed star ages with it
+  step(dtYears) {
+    this.t += dtYears;
+
+    for (const star of this.members) {
+      if (star.ended) {
+        // Accretion torques outweigh dipole braking while gas is still arriving
+        if (star.accretionRate === 0) spinDownPulsar(star, dtYears);
+        continue;
+      }
+      star.age += dtYears;
+      if (!isFormed(star)) continue;
+      if (star.age >= star.tTotal) star.age = star.tTotal;
+      // A star that formed during the step evolves only for the part after it
+      const dm = evolveStarMass(star, Math.min(dtYears, star.age));
+      if (dm > 0) {
+        loseSurfaceSpin(star, dm);
+        // Fast isotropic wind (Jeans mode): a × M stays constant, so the orbit widens
+        if (this.isBinary && !this.unbound) {
+          const M = this.star1.massCurrent + this.star2.massCurrent;
+          this.separationAU = clamp(this.separationAU * (M + dm) / M, MIN_SEPARATION_AU, MAX_SEPARATION_AU);
+        }
+        this.emit({ type: 'wind', star, dm });
+      }
+      this.checkPlanetaryNebula(star);
+      if (star.age >= star.tTotal) this.endStar(star);
+    }
+
+    // Mass transfer occurs after stage growth updates (radii change with mass)
+    this.doMassTransfer(dtYears);
+
+    if (this.isCompactBinary) this.radiateGravitationalWaves(dtYears);
+
+    this.updatePlanets();
+
+    this.emit({ type: 'step', dtYears });
+  }
+
+  // Length of the next step, at most maxYears: short enough to resolve the current phase of
+  // every living star, and ending just past the first event within it (a star forming, a phase
+  // boundary, the end of a star's life, Roche lobe contact starting or ending, or a compact merger). Stepping
+  // by it makes the outcome independent of how the time is cut up beyond that.
+  nextStepYears(maxYears) {
+    const living = this.members.filter(star => !star.ended);
+    let stepYears = maxYears;
+    for (const star of living.filter(isFormed)) stepYears = Math.min(stepYears, phaseForStar(star).duration / PHASE_SUBSTEPS);
+    let eventYears = this.gwMergerTimeYears;
+    for (const star of living) {
+      eventYears = Math.min(eventYears, yearsToNextPhase(star));
+      if (this.isBinary && !this.unbound) eventYears = Math.min(eventYears, this.rocheContactYears(star, stepYears));
+    }
+    return Math.min(stepYears, eventYears);
+  }
+
+  // Years within the next maxYears after which the star starts or stops overfilling its Roche
+  // lobe, located to ROCHE_PRECISION of maxYears (Infinity if it does not). Only the star's age
+  // moves; masses and orbit are held at their current values.
+  rocheContactYears(star, maxYears) {
+    const companion = star === this.star1 ? this.star2 : this.star1;
+    const lobeAU = rocheLobeRadiusAU(star.massCurrent, companion.massCurrent, this.separationAU * (1 - this.eccentricity));
+    const overfills = (years) => stellarRadiusAU(starParams({ ...star, age: Math.min(star.age + years, star.tTotal) }).R) > lobeAU;
+    const now = overfills(0);
+    let lo = 0;
+    for (let i = 1; i <= ROCHE_SAMPLES; i++) {
+      let hi = maxYears * i / ROCHE_SAMPLES;
+      if (overfills(hi) === now) {
+        lo = hi;
+        continue;
+      }
+      // Bisect the first change of sides, ending on the far side of it
+      while (hi - lo > maxYears * ROCHE_PRECISION) {
+        const mid = (lo + hi) / 2;
+        if (overfills(mid) === now) lo = mid; else hi = mid;
+      }
+      return Math.max(hi, maxYears * ROCHE_PRECISION);
+    }
+    return Infinity;
+  }
+
+  // Step from the current age up to ageYears in event-driven sub-steps no longer than
+  // maxStepYears (see nextStepYears)
+  advanceTo(ageYears, maxStepYears = Infinity) {
+    while (ageYears - this.t > 1e-9 * ageYears) {
+      this.step(this.nextStepYears(Math.min(maxStepYears, ageYears - this.t)));
+    }
+  }
+
+  // Copy of the full state: age, both stars, orbit, settings, ejecta, planets and the random
+  // sequence. Restoring it and repeating the same steps reproduces the run exactly.
+  snapshot() {
+    const which = (star) => (star === this.star1 ? 'primary' : 'secondary');
+    const state = {};
+    for (const key of SNAPSHOT_FIELDS) state[key] = this[key];
+    return {
+      ...state,
+      star1: structuredClone(this.star1),
+      star2: structuredClone(this.star2),
+      massTransfer: this.massTransfer && { ...this.massTransfer, donor: which(this.massTransfer.donor), accretor: which(this.massTransfer.accretor) },
+      ejecta: this.ejecta.map(({ star, ...rest }) => rest),
+      planets: this.planets.map(planet => ({ ...planet })),
+      rngState: this.rng.state(),
+    };
+  }
+
+  // Return to a snapshot. The star objects are kept (only their contents change), so anything
+  // keyed by them stays valid.
+  restore(snapshot) {
+    const starFor = (which) => (which === 'primary' ? this.star1 : this.star2);
+    for (const key of SNAPSHOT_FIELDS) this[key] = snapshot[key];
+    restoreStar(this.star1, snapshot.star1);
+    restoreStar(this.star2, snapshot.star2);
+    const transfer = snapshot.massTransfer;
+    this.massTransfer = transfer && { ...transfer, donor: starFor(transfer.donor), accretor: starFor(transfer.accretor) };
+    this.ejecta = snapshot.ejecta.map(e => ({ ...e, star: starFor(e.which) }));
+    this.planets = snapshot.planets.map(planet => ({ ...planet }));
+    this.rng = createRng(snapshot.rngState);
+    this.emit({ type: 'restore', ageYears: this.t });
+  }
+
+  // Step repeatedly until every star has ended or maxYears have elapsed
+  runToEnd(dtYears, maxYears = Infinity) {
+    const start = this.t;
+    while (!this.members.every(s => s.ended) && this.t - start < maxYears) {
+      this.step(this.nextStepYears(dtYears));
+    }
+  }
+
+  // Replace the star with its remnant; whatever is not in the remnant is ejected
+  endStar(star) {
+    const remnant = evolutionaryMass(star) < HYDROGEN_BURNING_MASS
+      ? { fate: 'Brown Dwarf', mass: star.massCurrent, endState: 'bd' }
+      : remnantFor(star.massCore, star.massCurrent);
+    const massBefore = star.massCurrent;
+    const ejectaMass = Math.max(star.massCurrent - remnant.mass, 0);
+    // Nothing is left to hold the companion after a pair-instability supernova
+    const disrupts = remnant.endState === 'pisn' && this.isBinary && !this.unbound;
+    const escapeSpeedKms = disrupts
+      ? Math.sqrt(G_AU * (this.star1.massCurrent + this.star2.massCurrent) / this.separationAU) / KMS_TO_AU_PER_YEAR
+      : null;
+    star.ended = true;
+    star.fate = remnant.fate;
+    star.endState = remnant.endState;
+    star.remnantMass = remnant.mass;
+    star.massCurrent = remnant.mass;
+    star.massCore = remnant.mass;
+    spinAtCollapse(star, star.spinJ, massBefore);
+    star.spinJ = 0;
+    if (disrupts) this.unbound = true;
+    this.emit({
+      type: 'star-ended', star, which: star === this.star1 ? 'primary' : 'secondary', ejectaMass, endState: remnant.endState, escapeSpeedKms,
+    });
+    // White dwarfs and brown dwarfs form quietly; a direct collapse swallows the whole star
+    const explodes = !['wd', 'bd'].includes(remnant.endState) && ejectaMass > 0;
+    if (explodes) {
+      this.addEjecta('supernova-remnant', star, ejectaMass, this.t);
+      this.explodeUnderPlanets(star, massBefore);
+    }
+
+    // Core collapse in a bound binary: sudden mass loss and a natal kick reshape the orbit
+    if (this.isBinary && !this.unbound && explodes) {
+      this.applySupernovaKick(star, massBefore);
+    }
+  }
+
+  applySupernovaKick(star, massBefore) {
+    const companion = star === this.star1 ? this.star2 : this.star1;
+    const kick = sampleKick(this.rng, this.kickDistribution, this.kickSigmaKms);
+    if (star.fate === 'Black Hole') {
+      const scale = NS_KICK_MASS / star.massCurrent;
+      kick.x *= scale; kick.y *= scale; kick.z *= scale;
+    }
+    const separationBefore = this.separationAU;
+    const result = orbitAfterSupernova({
+      separationAU: this.separationAU,
+      eccentricity: this.eccentricity,
+      meanAnomaly: 2 * Math.PI * this.rng(), // explosion at a random orbital phase
+      mExploding: massBefore,
+      mRemnant: star.massCurrent,
+      mCompanion: companion.massCurrent,
+      kick,
+    });
+    if (result.bound) {
+      this.separationAU = clamp(result.separationAU, MIN_SEPARATION_AU, MAX_SEPARATION_AU);
+      this.eccentricity = Math.min(result.eccentricity, 0.99);
+    } else {
+      this.unbound = true;
+    }
+    this.emit({
+      type: 'kick',
+      star,
+      which: star === this.star1 ? 'primary' : 'secondary',
+      kickKms: Math.hypot(kick.x, kick.y, kick.z),
+      bound: result.bound,
+      separationBefore,
+      separationAfter: result.bound ? this.separationAU : Infinity,
+      eccentricity: result.bound ? this.eccentricity : null,
+      escapeSpeedKms: result.bound ? 0 : result.escapeSpeedKms,
+    });
+  }
+
+  doMassTransfer(dtYears) {
+    const s1 = this.star1;
+    const s2 = this.star2;
+    // A zero-length step transfers nothing; keep the last step's rates for display
+    if (dtYears <= 0) return;
+    this.massTransfer = null;
+    for (const s of [s1, s2]) {
+      s.accretionRate = 0;
+      s.accretionLuminosity = 0;
+      s.eddingtonLimited = false;
+    }
+    if (!this.isBinary || this.unbound) return;
+
+    const R1AU = stellarRadiusAU(currentRadiusRsun(s1));
+    const R2AU = stellarRadiusAU(currentRadiusRsun(s2));
+
+    // Eccentric orbits overflow first at periastron
+    const periastronAU = this.separationAU * (1 - this.eccentricity);
+    const RL1 = rocheLobeRadiusAU(s1.massCurrent, s2.massCurrent, periastronAU);
+    const RL2 = rocheLobeRadiusAU(s2.massCurrent, s1.massCurrent, periastronAU);
+
+    const overfill1 = R1AU > RL1;
+    const overfill2 = R2AU > RL2;
+
+    const rate = this.transferRatePerYear;
+
+    // Only living stars donate; a remnant companion accretes what they lose
+    if (overfill1 && overfill2) {
+      // Contact: the star that overfills more shares its envelope with the companion
+      if (R1AU / RL1 >= R2AU / RL2) this.commonEnvelope(s1, s2, RL1);
+      else this.commonEnvelope(s2, s1, RL2);
+    } else if (overfill1 && !s1.ended && s2.massCurrent > 0) {
+      this.overflow(s1, s2, rate * dtYears, RL1, dtYears);
+    } else if (overfill2 && !s2.ended && s1.massCurrent > 0) {
+      this.overflow(s2, s1, rate * dtYears, RL2, dtYears);
+    }
+  }
+
+  // Roche lobe overflow: stable transfer, or a common envelope above the critical mass ratio
+  overflow(donor, accretor, dm, donorRocheLobeAU, dtYears) {
+    if (donor.massCurrent / accretor.massCurrent > criticalMassRatio(donor)) {
+      this.commonEnvelope(donor, accretor, donorRocheLobeAU);
+    } else {
+      this.transferMass(donor, accretor, dm, dtYears);
+    }
+  }
+
+  // The donor's envelope engulfs the binary. Friction drains orbital energy into the envelope;
+  // if enough is released before the orbit shrinks into contact the envelope is ejected and
+  // the donor's core remains, otherwise the two stars merge.
+  commonEnvelope(donor, accretor, donorRadiusAU) {
+    const separationBefore = this.separationAU;
+    // Main-sequence donors have no distinct core to spiral in on
+    const core = isPostMainSequence(donor) ? donor.massCore : 0;
+    let outcome = 'merger';
+    let separationAfter = 0;
+    if (core > 0) {
+      separationAfter = commonEnvelopeSeparation(
+        separationBefore, donor.massCurrent, core, accretor.massCurrent, donorRadiusAU, this.ceAlpha, this.ceLambda,
+      );
+      const coreFills = stellarRadiusAU(strippedCoreRadiusRsun(core)) > rocheLobeRadiusAU(core, accretor.massCurrent, separationAfter);
+      const accretorFills = stellarRadiusAU(currentRadiusRsun(accretor)) > rocheLobeRadiusAU(accretor.massCurrent, core, separationAfter);
+      if (!coreFills && !accretorFills && separationAfter >= MIN_SEPARATION_AU) outcome = 'post-ce';
+    }
+
+    if (outcome === 'post-ce') {
+      const ejectaMass = donor.massCurrent - core;
+      this.separationAU = separationAfter;
+      this.eccentricity = 0;
+      donor.massCurrent = core;
+      loseSurfaceSpin(donor, ejectaMass);
+      this.emit({ type: 'common-envelope', donor, accretor, outcome, separationBefore, separationAfter, ejectaMass });
+      // With its envelope gone the stripped core goes straight to its remnant
+      this.endStar(donor);
+    } else {
+      const ejectaMass = MERGER_MASS_LOSS * Math.min(donor.massCurrent, accretor.massCurrent);
+      this.emit({ type: 'common-envelope', donor, accretor, outcome, separationBefore, separationAfter, ejectaMass });
+      this.merge(ejectaMass);
+    }
+  }
+
+  // Coalesce both stars into star1. The product keeps the evolutionary phase of the more
+  // evolved living star; main-sequence mergers are rejuvenated by mixing fresh hydrogen into
+  // the core. A remnant swallowed by its companion settles into the product's core.
+  merge(ejectaMass) {
+    const s1 = this.star1;
+    const s2 = this.star2;
+    const mass = s1.massCurrent + s2.massCurrent - ejectaMass;
+    const live = [s1, s2].filter(s => !s.ended);
+    const giant = live.find(isPostMainSequence);
+    const giantFraction = giant ? clamp((giant.age - giant.tProtostar - giant.tMS) / giant.tGiant, 0, 1) : 0;
+    // Mass-weighted main-sequence progress (Hurley et al. 2002 with 10% of it retained)
+    const liveMass = live.reduce((sum, s) => sum + s.massCurrent, 0);
+    const msFraction = live.reduce((sum, s) => sum + s.massCurrent * msProgress(s), 0) / liveMass;
+    const spinJ = live.reduce((sum, s) => sum + s.spinJ, 0);
+
+    s1.ended = false;
+    s1.remnantMass = null;
+    s1.endState = null;
+    s1.massCore = Math.min(s1.massCore + s2.massCore, mass);
+    s1.massCurrent = mass;
+    s1.massInitial = mass;
+    s1.windLost = 0;
+    s1.fate = fateForMass(mass, s1.z);
+    resetStarTimes(s1);
+    s1.age = giant
+      ? s1.tProtostar + s1.tMS + giantFraction * s1.tGiant
+      : s1.tProtostar + 0.1 * msFraction * s1.tMS;
+    s1.bornAt = this.t - s1.age;
+    // The product spins with the stars' combined angular momentum, up to break-up
+    clearPulsar(s1);
+    s1.bhSpin = null;
+    s1.spinJ = Math.min(spinJ, momentOfInertia(s1) * breakupOmega(s1));
+
+    this.merged = true;
+    this.emit({ type: 'merger', star: s1, absorbed: s2, ejectaMass });
+    // Planets of the absorbed star end up inside the merger product
+    for (const planet of this.planets) {
+      if (planet.host === 'secondary' && planet.status === 'orbiting') this.losePlanet(planet, 'engulfed', s2);
+    }
+  }
+
+  transferMass(donor, accretor, dm, dtYears = 0) {
+    const maxTransfer = Math.min(dm, donor.massCurrent - MIN_STRIPPED_MASS); // never go below 0.1 M☉
+    if (maxTransfer <= 0) return;
+
+    // Orbit responds through angular momentum; large transfers are split into small pieces
+    const beta = this.effectiveLossFraction;
+    const mode = TRANSFER_MODES[this.transferMode] || TRANSFER_MODES.conservative;
+    const pieces = clamp(Math.ceil(maxTransfer / (0.005 * donor.massCurrent)), 1, 200);
+    const piece = maxTransfer / pieces;
+    for (let i = 0; i < pieces; i++) {
+      const gamma = mode.gamma(donor.massCurrent, accretor.massCurrent);
+      this.separationAU = separationAfterTransfer(
+        this.separationAU, donor.massCurrent, accretor.massCurrent, piece, beta, gamma,
+      );
+      donor.massCurrent -= piece;
+      accretor.massCurrent += piece * (1 - beta);
+    }
+    loseSurfaceSpin(donor, maxTransfer);
+    if (!accretor.ended) gainSurfaceSpin(accretor, maxTransfer * (1 - beta));
+
+    // Update fates on-the-fly
+    donor.fate = fateForMass(evolutionaryMass(donor), donor.z);
+    if (!accretor.ended) accretor.fate = fateForMass(evolutionaryMass(accretor), accretor.z);
+
+    // Update lifetimes proportional to mass change (recompute total clocks but keep absolute ages)
+    resetStarTimes(donor);
+    if (!accretor.ended) resetStarTimes(accretor);
+
+    if (dtYears > 0) this.massTransfer = { donor, accretor, rate: maxTransfer / dtYears };
+    this.emit({ type: 'transfer', donor, accretor, dm: maxTransfer, lost: maxTransfer * beta });
+
+    if (accretor.ended) this.accreteOntoRemnant(accretor, maxTransfer * (1 - beta), dtYears);
+  }
+
+  // A remnant has just gained `gained` M_sun (already added to its mass) over dtYears
+  accreteOntoRemnant(remnant, gained, dtYears) {
+    let mdot = dtYears > 0 ? gained / dtYears : 0;
+
+    if (remnant.fate === 'Neutron Star' || remnant.fate === 'Black Hole') {
+      // Radiation pressure caps the inflow; the rest is blown off the inner disk
+      const mdotEdd = eddingtonAccretionRate(remnant);
+      if (mdot > mdotEdd) {
+        this.loseRemnantMass(remnant, (mdot - mdotEdd) * dtYears);
+        mdot = mdotEdd;
+        remnant.eddingtonLimited = true;
+      }
+    }
+    remnant.accretionRate = mdot;
+    remnant.accretionLuminosity = accretionLuminosityLsun(remnant, mdot);
+
+    if (remnant.fate === 'White Dwarf') {
+      // Burning regime and ignition are set by the white dwarf as it was when the step began
+      const mWD = remnant.massCurrent - gained;
+      const { low, high } = steadyBurningRates(mWD);
+      if (mdot > high) {
+        // Steady burning at the maximum rate; the rest leaves in an optically thick wind
+        this.loseRemnantMass(remnant, (mdot - high) * dtYears);
+      } else if (mdot < low) {
+        // Unstable burning: the accreted layer builds up and ignites in nova flashes
+        remnant.hydrogenShell += gained;
+        const ignition = novaIgnitionMass(mWD, mdot);
+        const count = Math.floor(remnant.hydrogenShell / ignition);
+        if (count > 0) {
+          const ejectaMass = count * ignition * (1 - NOVA_RETAINED);
+          remnant.hydrogenShell -= count * ignition;
+          remnant.novae += count;
+          this.loseRemnantMass(remnant, ejectaMass);
+          this.emit({ type: 'nova', star: remnant, count, ejectaMass, recurrenceYears: mdot > 0 ? ignition / mdot : Infinity });
+        }
+      }
+      remnant.remnantMass = remnant.massCurrent;
+      remnant.massCore = remnant.massCurrent;
+      spinUpWhiteDwarf(remnant, mdot * dtYears);
+      if (remnant.massCurrent >= CHANDRASEKHAR_MASS) this.explodeTypeIa(remnant);
+    } else if (remnant.fate === 'Neutron Star') {
+      remnant.remnantMass = remnant.massCurrent;
+      remnant.massCore = remnant.massCurrent;
+      spinUpNeutronStar(remnant, mdot * dtYears, mdot, dtYears);
+      // Pushed past the maximum neutron-star mass it collapses quietly to a black hole
+      if (remnant.massCurrent >= TOV_MASS) {
+        collapseSpinToBlackHole(remnant);
+        remnant.fate = 'Black Hole';
+      }
+    } else {
+      remnant.remnantMass = remnant.massCurrent;
+      remnant.massCore = remnant.massCurrent;
+    }
+  }
+
+  // Isotropic mass loss from a remnant (nova ejecta, accretion winds): a × M stays constant
+  loseRemnantMass(remnant, dm) {
+    const loss = Math.min(dm, remnant.massCurrent);
+    if (loss <= 0) return;
+    const M = this.star1.massCurrent + this.star2.massCurrent;
+    remnant.massCurrent -= loss;
+    this.separationAU = clamp(this.separationAU * M / (M - loss), MIN_SEPARATION_AU, MAX_SEPARATION_AU);
+  }
+
+  // Orbital decay of a neutron-star / black-hole pair, ending in coalescence
+  radiateGravitationalWaves(dtYears) {
+    const s1 = this.star1;
+    const s2 = this.star2;
+    const result = gwDecay(this.separationAU, this.eccentricity, s1.massCurrent, s2.massCurrent, dtYears);
+    if (!result.merged) {
+      this.separationAU = Math.max(result.separationAU, 1e-12);
+      this.eccentricity = result.eccentricity;
+      return;
+    }
+
+    const masses = [s1.massCurrent, s2.massCurrent];
+    const neutronStars = [s1, s2].filter(s => s.fate === 'Neutron Star').length;
+    const kind = neutronStars === 2 ? 'NS–NS' : (neutronStars === 1 ? 'NS–BH' : 'BH–BH');
+    // A neutron star is tidally disrupted and sheds a little r-process debris (the kilonova)
+    const ejectaMass = neutronStars > 0 ? KILONOVA_EJECTA : 0;
+    const remnantMass = (masses[0] + masses[1] - ejectaMass) * (1 - GW_RADIATED_FRACTION);
+
+    s1.fate = remnantMass < TOV_MASS ? 'Neutron Star' : 'Black Hole';
+    s1.massCurrent = remnantMass;
+    s1.remnantMass = remnantMass;
+    s1.massCore = remnantMass;
+    // The product is born spinning fast: near break-up for a neutron star
+    clearPulsar(s1);
+    if (s1.fate === 'Black Hole') {
+      s1.bhSpin = MERGER_BH_SPIN;
+    } else {
+      s1.bhSpin = null;
+      s1.spinPeriodS = MIN_SPIN_PERIOD_S;
+      s1.magneticFieldG = PULSAR_BIRTH_FIELD_G;
+      s1.spinPdot = pulsarPdot(s1.spinPeriodS, s1.magneticFieldG);
+    }
+    this.separationAU = 0;
+    this.eccentricity = 0;
+    this.merged = true;
+    this.emit({ type: 'compact-merger', kind, star: s1, absorbed: s2, masses, remnantMass, ejectaMass });
+  }
+
+  // Thermonuclear runaway of a white dwarf at the Chandrasekhar mass: the star is destroyed and
+  // the companion, no longer held, flies off at its orbital speed
+  explodeTypeIa(star) {
+    const ejectaMass = star.massCurrent;
+    const mTotal = this.star1.massCurrent + this.star2.massCurrent;
+    const escapeSpeedKms = Math.sqrt(G_AU * mTotal / this.separationAU) / KMS_TO_AU_PER_YEAR;
+    star.fate = 'No Remnant';
+    star.remnantMass = 0;
+    star.massCurrent = 0;
+    star.massCore = 0;
+    star.hydrogenShell = 0;
+    clearPulsar(star);
+    this.unbound = true;
+    this.emit({ type: 'type-ia', star, which: star === this.star1 ? 'primary' : 'secondary', ejectaMass, escapeSpeedKms });
+    this.addEjecta('supernova-remnant', star, ejectaMass, this.t);
+    this.explodeUnderPlanets(star, ejectaMass);
+  }
+
+  // Eject the planetary nebula once the star reaches that phase, dated to the phase's start so
+  // large steps do not age it differently
+  checkPlanetaryNebula(star) {
+    const start = phaseStartAge(star, 'Planetary Nebula');
+    if (start === null || star.age < start) return;
+    if (this.ejecta.some(e => e.star === star && e.kind === 'planetary-nebula')) return;
+    // The shell is the AGB superwind, already counted in the wind losses
+    this.addEjecta('planetary-nebula', star, null, this.t - (star.age - start));
+  }
+
+  addEjecta(kind, star, ejectaMass, bornAt) {
+    const ejecta = { kind, star, which: star === this.star1 ? 'primary' : 'secondary', bornAt, ejectaMass };
+    this.ejecta.push(ejecta);
+    this.emit({ type: 'ejecta', ejecta });
+  }
+
+  // Add a planet on a circular orbit around the primary or the secondary
+  addPlanet({ name = 'Planet', host = 'primary', orbitAU = 1, albedo = EARTH_ALBEDO } = {}) {
+    const planet = {
+      name,
+      host,
+      orbitInitialAU: clamp(orbitAU, 0.001, MAX_SEPARATION_AU),
+      albedo: clamp(albedo, 0, 0.99),
+    };
+    this.planets.push(planet);
+    this.resetPlanet(planet);
+    return planet;
+  }
+
+  removePlanet(planet) {
+    this.planets = this.planets.filter(p => p !== planet);
+  }
+
+  clearPlanets() {
+    this.planets = [];
+  }
+
+  resetPlanet(planet) {
+    const host = this.planetHost(planet);
+    planet.orbitAU = planet.orbitInitialAU;
+    planet.hostMass = host ? host.massCurrent : null; // last mass the orbit was adjusted for
+    planet.status = 'orbiting'; // 'engulfed' or 'ejected' once lost
+    planet.statusAt = null; // host age at the loss
+  }
+
+  resetPlanets() {
+    for (const planet of this.planets) this.resetPlanet(planet);
+  }
+
+  // The star a planet orbits, or null while its host is not being simulated
+  planetHost(planet) {
+    const host = planet.host === 'secondary' ? this.star2 : this.star1;
+    return this.stars.includes(host) ? host : null;
+  }
+
+  // Slow mass loss or gain keeps a × M constant, so orbits widen as the host blows off its
+  // envelope; a host that swells past the orbit swallows the planet
+  updatePlanets() {
+    for (const planet of this.planets) {
+      const host = this.planetHost(planet);
+      if (!host || planet.status !== 'orbiting') continue;
+      if (planet.hostMass === null) planet.hostMass = host.massCurrent;
+      if (host.massCurrent > 0 && host.massCurrent !== planet.hostMass) {
+        planet.orbitAU = clamp(planet.orbitAU * planet.hostMass / host.massCurrent, 0.001, MAX_SEPARATION_AU);
+        planet.hostMass = host.massCurrent;
+      }
+      if (!host.ended && stellarRadiusAU(currentRadiusRsun(host)) >= planet.orbitAU) {
+        this.losePlanet(planet, 'engulfed', host);
+      }
+    }
+  }
+
+  // Sudden mass loss in an explosion: losing over half the mass unbinds a circular orbit,
+  // otherwise it becomes eccentric with a' = a M' / (2M' − M), treated here as a circle
+  explodeUnderPlanets(star, massBefore) {
+    const which = star === this.star1 ? 'primary' : 'secondary';
+    const massAfter = star.massCurrent;
+    for (const planet of this.planets) {
+      if (planet.host !== which || planet.status !== 'orbiting') continue;
+      if (massAfter <= massBefore / 2) {
+        this.losePlanet(planet, 'ejected', star);
+      } else {
+        planet.orbitAU = clamp(planet.orbitAU * massAfter / (2 * massAfter - massBefore), 0.001, MAX_SEPARATION_AU);
+        planet.hostMass = massAfter;
+      }
+    }
+  }
+
+  losePlanet(planet, status, host) {
+    planet.status = status;
+    planet.statusAt = host.age;
+    this.emit({ type: `planet-${status}`, planet, star: host });
+  }
+}
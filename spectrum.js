@@ -0,0 +1,225 @@
+// Spectrum panel: each star as a blackbody of its current temperature and radius, with the
+// peak wavelength, the visible band and an optional combined spectrum for binaries. Also the
+// MK spectral type and B−V colour shown on the info cards.
+
+import { starParams } from './simulation.js';
+import { TRACK_COLORS } from './hrDiagram.js';
+
+const H = 6.626e-34;
+const C = 2.998e8;
+const K_B = 1.381e-23;
+const RSUN_M = 6.957e8;
+const LSUN_W = 3.828e26;
+const WIEN_NM_K = 2.898e6; // λ_max T
+
+const PAD = { left: 56, right: 12, top: 10, bottom: 26 };
+const LAMBDA_MIN_NM = 10;
+const LAMBDA_MAX_NM = 30000;
+const VISIBLE_NM = [380, 750];
+const Y_DECADES = 6;
+
+// Dwarf effective temperatures and B−V colours by spectral type (Pecaut & Mamajek 2013).
+// Brown-dwarf colours are not tabulated.
+const SPECTRAL_TYPES = [
+  ['O', 3, 44900, -0.33], ['O', 5, 41400, -0.33], ['O', 7, 36500, -0.32], ['O', 9, 33000, -0.31],
+  ['B', 0, 31400, -0.30], ['B', 1, 26000, -0.28], ['B', 2, 20600, -0.21], ['B', 3, 17000, -0.18],
+  ['B', 5, 15700, -0.17], ['B', 7, 14000, -0.13], ['B', 8, 12300, -0.11], ['B', 9, 10700, -0.07],
+  ['A', 0, 9700, 0.00], ['A', 2, 8800, 0.05], ['A', 5, 8100, 0.15], ['A', 7, 7650, 0.21],
+  ['F', 0, 7220, 0.30], ['F', 2, 6810, 0.37], ['F', 5, 6510, 0.44], ['F', 8, 6170, 0.52],
+  ['G', 0, 5920, 0.59], ['G', 2, 5770, 0.65], ['G', 5, 5660, 0.68], ['G', 8, 5490, 0.74],
+  ['K', 0, 5280, 0.82], ['K', 2, 5040, 0.92], ['K', 3, 4830, 0.99], ['K', 5, 4450, 1.15],
+  ['K', 7, 4050, 1.33], ['M', 0, 3850, 1.42], ['M', 1, 3660, 1.48], ['M', 2, 3560, 1.49],
+  ['M', 3, 3430, 1.50], ['M', 4, 3210, 1.60], ['M', 5, 3060, 1.78], ['M', 6, 2810, 1.90],
+  ['M', 7, 2680, 1.96], ['M', 8, 2570, 2.00], ['M', 9, 2380, 2.05],
+  ['L', 0, 2250, null], ['L', 2, 1960, null], ['L', 5, 1590, null], ['L', 8, 1350, null],
+  ['T', 0, 1260, null], ['T', 5, 1100, null], ['T', 8, 700, null],
+];
+const CLASS_LETTERS = 'OBAFGKMLT';
+
+// Table rows around T and the position between them in log T
+function bracket(T) {
+  const rows = SPECTRAL_TYPES;
+  if (T >= rows[0][2]) return { a: rows[0], b: rows[0], f: 0 };
+  for (let i = 0; i < rows.length - 1; i++) {
+    const [, , tHot] = rows[i];
+    const [, , tCool] = rows[i + 1];
+    if (T > tCool) return { a: rows[i], b: rows[i + 1], f: Math.log(tHot / T) / Math.log(tHot / tCool) };
+  }
+  const last = rows[rows.length - 1];
+  return { a: last, b: last, f: 0 };
+}
+
+// Temperature class and subtype to the nearest half, e.g. "G2" or "B1.5"
+export function temperatureClass(T) {
+  const { a, b, f } = bracket(T);
+  const code = (r) => CLASS_LETTERS.indexOf(r[0]) * 10 + r[1];
+  const value = Math.round((code(a) + (code(b) - code(a)) * f) * 2) / 2;
+  const letter = Math.floor(value / 10);
+  return `${CLASS_LETTERS[letter]}${value - letter * 10}`;
+}
+
+// B−V colour index from the dwarf sequence (null where it is not tabulated)
+export function colorIndexBV(T) {
+  const { a, b, f } = bracket(T);
+  if (a[3] === null || b[3] === null) return null;
+  return a[3] + (b[3] - a[3]) * f;
+}
+
+// Luminosity class: dwarfs and subgiants by stage, evolved stars by luminosity
+export function luminosityClass(L, stage) {
+  if (stage === 'Protostar' || stage === 'Main Sequence' || stage === 'Deuterium Burning') return 'V';
+  if (stage === 'Subgiant') return 'IV';
+  if (L >= 5e5) return 'Ia+';
+  if (L >= 2e5) return 'Ia';
+  if (L >= 5e4) return 'Iab';
+  if (L >= 1e4) return 'Ib';
+  if (L >= 2e3) return 'II';
+  return 'III';
+}
+
+// MK type such as "G2 V" or "M1 Iab"; white dwarfs are "DA", other remnants have none
+export function spectralType(star) {
+  if (star.ended) return star.fate === 'White Dwarf' ? 'DA' : null;
+  const { L, T, stage } = starParams(star);
+  if (stage === 'Wolf–Rayet') return 'WN';
+  return `${temperatureClass(T)} ${luminosityClass(L, stage)}`;
+}
+
+// Spectral luminosity L_λ = 4π²R² B_λ(T) in L_sun per nm
+function planckLuminosity(lambdaNm, T, Rsun) {
+  const lambda = lambdaNm * 1e-9;
+  const x = H * C / (lambda * K_B * T);
+  if (x > 700) return 0;
+  const B = 2 * H * C * C / Math.pow(lambda, 5) / Math.expm1(x);
+  const R = Rsun * RSUN_M;
+  return 4 * Math.PI * Math.PI * R * R * B * 1e-9 / LSUN_W;
+}
+
+// Approximate colour of light at a visible wavelength
+function wavelengthColor(nm, alpha) {
+  const stops = [[380, [120, 0, 200]], [440, [0, 60, 255]], [490, [0, 200, 255]], [530, [40, 255, 60]], [580, [255, 240, 0]], [620, [255, 120, 0]], [750, [200, 0, 0]]];
+  let i = 0;
+  while (i < stops.length - 2 && nm > stops[i + 1][0]) i++;
+  const [n0, c0] = stops[i];
+  const [n1, c1] = stops[i + 1];
+  const t = Math.min(Math.max((nm - n0) / (n1 - n0), 0), 1);
+  const c = c0.map((v, k) => Math.round(v + (c1[k] - v) * t));
+  return `rgba(${c[0]},${c[1]},${c[2]},${alpha})`;
+}
+
+export function createSpectrumPanel({ canvas, sim, combinedToggle }) {
+  const ctx = canvas.getContext('2d');
+
+  function label(text, x, y, align = 'left', baseline = 'top', color = '#9fb0c0') {
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.textBaseline = baseline;
+    ctx.fillText(text, x, y);
+  }
+
+  // Shining stars with their key and blackbody parameters
+  function sources() {
+    const keyed = sim.stars.map(star => [star === sim.star1 ? 'primary' : 'secondary', star]);
+    return keyed
+      .filter(([, star]) => !star.ended)
+      .map(([key, star]) => {
+        const { R, T } = starParams(star);
+        return { key, star, R, T };
+      });
+  }
+
+  function draw() {
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#0b0f14';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '10px Inter, system-ui, sans-serif';
+
+    const stars = sources();
+    if (!stars.length) {
+      ctx.font = '12px Inter, system-ui, sans-serif';
+      label('No thermal spectrum: remnant cooling is not modelled', width / 2, height / 2, 'center', 'middle');
+      return;
+    }
+
+    const b = { x0: PAD.left, y0: PAD.top, w: width - PAD.left - PAD.right, h: height - PAD.top - PAD.bottom };
+    const logLMin = Math.log10(LAMBDA_MIN_NM);
+    const logLMax = Math.log10(LAMBDA_MAX_NM);
+    const xOf = (nm) => b.x0 + (Math.log10(nm) - logLMin) / (logLMax - logLMin) * b.w;
+    const samples = Math.max(Math.round(b.w), 200);
+    const lambdas = Array.from({ length: samples + 1 }, (_, i) => Math.pow(10, logLMin + (i / samples) * (logLMax - logLMin)));
+    const curves = stars.map(s => lambdas.map(l => planckLuminosity(l, s.T, s.R)));
+    const combined = sim.isBinary && combinedToggle && combinedToggle.checked && curves.length > 1
+      ? lambdas.map((_, i) => curves.reduce((sum, c) => sum + c[i], 0))
+      : null;
+    const peak = Math.max(...(combined || curves.flat()));
+    const logYMax = Math.log10(peak) + 0.5;
+    const logYMin = logYMax - Y_DECADES;
+    const yOf = (v) => b.y0 + (logYMax - Math.log10(Math.max(v, 1e-300))) / Y_DECADES * b.h;
+
+    // Visible band in its own colours
+    for (let nm = VISIBLE_NM[0]; nm < VISIBLE_NM[1]; nm += 5) {
+      ctx.fillStyle = wavelengthColor(nm, 0.22);
+      ctx.fillRect(xOf(nm), b.y0, xOf(nm + 5) - xOf(nm) + 0.5, b.h);
+    }
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(b.x0, b.y0, b.w, b.h);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(b.x0, b.y0, b.w, b.h);
+    ctx.clip();
+    const strokeCurve = (values, color, widthPx) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = widthPx;
+      ctx.beginPath();
+      values.forEach((v, i) => {
+        const x = xOf(lambdas[i]);
+        const y = Math.min(yOf(v), b.y0 + b.h + 2);
+        if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+      });
+      ctx.stroke();
+    };
+    stars.forEach((s, i) => strokeCurve(curves[i], TRACK_COLORS[s.key], 1.5));
+    if (combined) strokeCurve(combined, '#e6edf3', 1);
+
+    // Wien peaks
+    ctx.setLineDash([3, 4]);
+    for (const s of stars) {
+      const x = xOf(WIEN_NM_K / s.T);
+      ctx.strokeStyle = TRACK_COLORS[s.key];
+      ctx.globalAlpha = 0.6;
+      ctx.beginPath();
+      ctx.moveTo(x, b.y0);
+      ctx.lineTo(x, b.y0 + b.h);
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+    ctx.restore();
+
+    // Legend with the peak wavelength of each star
+    stars.forEach((s, i) => {
+      const peakNm = WIEN_NM_K / s.T;
+      const where = peakNm < VISIBLE_NM[0] ? 'UV' : peakNm > VISIBLE_NM[1] ? 'IR' : 'visible';
+      const name = s.key === 'primary' ? 'Primary' : 'Secondary';
+      const text = `${name}: ${spectralType(s.star)} · ${Math.round(s.T)} K · λmax ${peakNm < 1000 ? `${Math.round(peakNm)} nm` : `${(peakNm / 1000).toFixed(2)} µm`} (${where})`;
+      label(text, b.x0 + b.w - 6, b.y0 + 4 + i * 14, 'right', 'top', TRACK_COLORS[s.key]);
+    });
+    if (combined) label('Combined light', b.x0 + b.w - 6, b.y0 + 4 + stars.length * 14, 'right', 'top', '#e6edf3');
+
+    // Axes
+    for (const nm of [10, 100, 1000, 10000]) {
+      label(nm < 1000 ? `${nm} nm` : `${nm / 1000} µm`, xOf(nm), b.y0 + b.h + 4, 'center');
+    }
+    label('L☉/nm', b.x0 - 4, b.y0 + 2, 'right', 'top');
+    for (let d = Math.ceil(logYMin); d < logYMax - 0.5; d += 2) {
+      label(`1e${d}`, b.x0 - 4, yOf(Math.pow(10, d)), 'right', 'middle');
+    }
+  }
+
+  if (combinedToggle) combinedToggle.addEventListener('change', draw);
+
+  return { draw };
+}
@@ -0,0 +1,61 @@
+// Gravitational-wave inspiral (Peters 1964) against the analytic results
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation, MYR, gwDecay, gwMergerTimeYears } from '../simulation.js';
+
+// Circular merger time T = (5/256) c⁵ a⁴ / (G³ m₁ m₂ (m₁ + m₂)), worked out in SI units
+function circularMergerYears(separationAU, m1, m2) {
+  const G = 6.674e-11;
+  const C = 2.998e8;
+  const MSUN = 1.989e30;
+  const AU = 1.496e11;
+  const YEAR = 3.15576e7;
+  const a = separationAU * AU;
+  return (5 / 256) * Math.pow(C, 5) * Math.pow(a, 4) / (Math.pow(G, 3) * m1 * m2 * (m1 + m2) * Math.pow(MSUN, 3)) / YEAR;
+}
+
+const within = (actual, expected, relative) => assert.ok(
+  Math.abs(actual - expected) <= relative * expected,
+  `${actual} is not within ${relative * 100}% of ${expected}`,
+);
+
+test('circular merger time matches Peters', () => {
+  within(gwMergerTimeYears(0.01, 0, 1.4, 1.4), circularMergerYears(0.01, 1.4, 1.4), 1e-3);
+  within(gwMergerTimeYears(0.1, 0, 10, 30), circularMergerYears(0.1, 10, 30), 1e-3);
+});
+
+test('the Hulse–Taylor pulsar merges in about 300 million years', () => {
+  // a = 1.95 × 10⁹ m, e = 0.617 (Weisberg & Huang 2016): about 301 Myr
+  within(gwMergerTimeYears(1.95e9 / 1.496e11, 0.6171, 1.4398, 1.3886), 301 * MYR, 0.03);
+});
+
+test('decay shortens the merger time by the time elapsed', () => {
+  // Circular orbits shrink as a (1 − t/T)^(1/4)
+  const T = gwMergerTimeYears(0.01, 0, 1.4, 1.4);
+  const circular = gwDecay(0.01, 0, 1.4, 1.4, T / 2);
+  within(circular.separationAU, 0.01 * Math.pow(0.5, 0.25), 1e-9);
+  assert.equal(circular.merged, false);
+  assert.equal(gwDecay(0.01, 0, 1.4, 1.4, T).merged, true);
+
+  // Eccentric orbits also circularise along the way
+  const eccentric = gwDecay(0.01, 0.5, 1.4, 1.4, 1e6);
+  within(gwMergerTimeYears(0.01, 0.5, 1.4, 1.4) - gwMergerTimeYears(eccentric.separationAU, eccentric.eccentricity, 1.4, 1.4), 1e6, 1e-6);
+  assert.ok(eccentric.separationAU < 0.01);
+  assert.ok(eccentric.eccentricity < 0.5);
+});
+
+test('a double neutron star merges when its merger time runs out', () => {
+  const sim = new Simulation({ massPrimary: 10, massSecondary: 9.5, binary: true, separationAU: 2, kickSigmaKms: 50, seed: 2 });
+  let predicted = null;
+  let mergedAt = null;
+  sim.subscribe((event) => {
+    if (event.type === 'kick' && event.which === 'secondary') {
+      predicted = sim.t + gwMergerTimeYears(sim.separationAU, sim.eccentricity, sim.star1.massCurrent, sim.star2.massCurrent);
+    }
+    if (event.type === 'compact-merger') mergedAt = sim.t;
+  });
+  while (mergedAt === null && sim.t < 1e10) sim.step(sim.nextStepYears(100 * MYR));
+  within(mergedAt, predicted, 1e-6);
+  assert.equal(sim.star1.fate, 'Black Hole');
+});
@@ -0,0 +1,31 @@
+// Run history: scrubbing back and forth rebuilds the same states
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation, MYR } from '../simulation.js';
+import { createHistory } from '../history.js';
+
+const OPTIONS = { massPrimary: 5, massSecondary: 3, binary: true, separationAU: 0.3 };
+
+function state(sim) {
+  return { t: sim.t, separationAU: sim.separationAU, masses: [sim.star1.massCurrent, sim.star2.massCurrent] };
+}
+
+test('seeking back and forward lands on the recorded states', () => {
+  const sim = new Simulation(OPTIONS);
+  const history = createHistory({ sim, snapshotEvery: 10 });
+  for (let i = 0; i < 100; i++) history.advance(2 * MYR);
+  const end = state(sim);
+  history.seek(50 * MYR);
+  assert.ok(Math.abs(sim.t - 50 * MYR) < 1);
+  history.seek(end.t);
+  assert.deepEqual(state(sim), end);
+});
+
+test('sub-steps are replayed, not recorded', () => {
+  const sim = new Simulation(OPTIONS);
+  const history = createHistory({ sim, snapshotEvery: 10, maxSnapshots: 3 });
+  // Thirty recorded steps fit in three snapshots however finely each one is split
+  for (let i = 0; i < 30; i++) history.advance(1 * MYR, 0.01 * MYR);
+  assert.equal(history.startAge(), 0);
+});
@@ -0,0 +1,51 @@
+// Supernova kicks: the orbit a core collapse leaves behind, and whether the pair stays bound
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation, MYR, orbitAfterSupernova } from '../simulation.js';
+
+const NO_KICK = { x: 0, y: 0, z: 0 };
+
+test('mass loss alone unbinds a circular orbit past half the total mass (Blaauw)', () => {
+  // 19.5 M☉ before, 10.9 M☉ after: a' = a M / (2M − M₀), e' = (M₀ − M) / M
+  const bound = orbitAfterSupernova({ separationAU: 2, mExploding: 10, mRemnant: 1.4, mCompanion: 9.5, kick: NO_KICK });
+  assert.equal(bound.bound, true);
+  assert.ok(Math.abs(bound.separationAU - 2 * 10.9 / 2.3) < 1e-9);
+  assert.ok(Math.abs(bound.eccentricity - 8.6 / 10.9) < 1e-9);
+
+  const unbound = orbitAfterSupernova({ separationAU: 2, mExploding: 10, mRemnant: 1.4, mCompanion: 1, kick: NO_KICK });
+  assert.equal(unbound.bound, false);
+  assert.ok(unbound.escapeSpeedKms > 0);
+});
+
+// Kicks of a 10 + 9.5 M☉ pair 2 AU apart, run to the end
+function kicks(options) {
+  const sim = new Simulation({ massPrimary: 10, massSecondary: 9.5, binary: true, separationAU: 2, ...options });
+  const events = [];
+  sim.subscribe((event) => {
+    if (event.type === 'kick') events.push({ which: event.which, kickKms: event.kickKms, bound: event.bound });
+  });
+  sim.runToEnd(0.1 * MYR, 1e9);
+  return { events, sim };
+}
+
+test('weak kicks with a fixed seed leave a bound double neutron star', () => {
+  const { events, sim } = kicks({ kickSigmaKms: 50, seed: 2 });
+  assert.deepEqual(events.map(e => [e.which, e.bound]), [['primary', true], ['secondary', true]]);
+  assert.ok(Math.abs(events[0].kickKms - 80.921) < 1e-3);
+  assert.ok(Math.abs(events[1].kickKms - 86.917) < 1e-3);
+  assert.equal(sim.unbound, false);
+  assert.deepEqual(kicks({ kickSigmaKms: 50, seed: 2 }).events, events);
+});
+
+test('strong kicks unbind the pair at the first supernova', () => {
+  const { events, sim } = kicks({ kickDistribution: 'fixed', kickSigmaKms: 1500 });
+  assert.deepEqual(events.map(e => [e.which, e.bound]), [['primary', false]]);
+  assert.ok(Math.abs(events[0].kickKms - 1500) < 1e-9);
+  assert.equal(sim.unbound, true);
+});
+
+test('without kicks the second supernova unbinds the pair by mass loss alone', () => {
+  const { events } = kicks({ kickDistribution: 'none' });
+  assert.deepEqual(events.map(e => [e.which, e.kickKms, e.bound]), [['primary', 0, true], ['secondary', 0, false]]);
+});
@@ -0,0 +1,62 @@
+// Scenario files and links: what loads, what is turned away, and how old versions come back
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCENARIO_FORMAT, SCENARIO_VERSION, parseScenarioJSON, scenarioFromHash, scenarioToHash, scenarioToJSON, validateScenario,
+} from '../scenario.js';
+
+function scenario(changes = {}) {
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    masses: { primary: 1.2, secondary: 0.8 },
+    binary: true,
+    formation: { delayPrimaryYears: 0, delaySecondaryYears: 5e7 },
+    metallicity: 0.0142,
+    orbit: { separationAU: 0.5, eccentricity: 0.1 },
+    transfer: { ratePerMyr: 0.01, mode: 'conservative', lossFraction: 0.5 },
+    commonEnvelope: { alpha: 1, lambda: 0.5 },
+    kicks: { distribution: 'maxwellian', sigmaKms: 265, seed: 1 },
+    time: { speed: 1, autoScale: true, ageYears: 1e9 },
+    camera: { zoom: 1, offsetX: 0, offsetY: 0, follow: null },
+    observer: { distancePc: 10, extinctionMag: 0 },
+    planets: [{ name: 'Earth', host: 'primary', orbitAU: 1, albedo: 0.3 }],
+    ...changes,
+  };
+}
+
+test('a complete scenario loads unchanged, from JSON and from a link', () => {
+  const data = scenario();
+  assert.deepEqual(validateScenario(data), { scenario: data, error: null });
+  assert.deepEqual(parseScenarioJSON(scenarioToJSON(data)).scenario, data);
+  assert.deepEqual(scenarioFromHash(scenarioToHash(data)).scenario, data);
+  assert.equal(scenarioFromHash('#other=1'), null);
+});
+
+test('invalid scenarios are turned away with the first problem', () => {
+  const errorFor = (data) => validateScenario(data).error;
+  assert.match(parseScenarioJSON('{').error, /^Not valid JSON/);
+  assert.equal(errorFor([]), 'A scenario must be a JSON object');
+  assert.match(errorFor(scenario({ format: 'other' })), /^Not a scenario file/);
+  assert.match(errorFor(scenario({ version: 99 })), /^Unsupported scenario version 99/);
+  assert.equal(errorFor(scenario({ metallicity: undefined })), 'Missing metallicity');
+  assert.match(errorFor(scenario({ masses: { primary: 1000, secondary: 1 } })), /^masses\.primary = 1000 is out of range/);
+  assert.equal(errorFor(scenario({ kicks: { distribution: 'maxwellian', sigmaKms: 265, seed: 1.5 } })), 'kicks.seed must be a whole number');
+  assert.equal(errorFor(scenario({ binary: 'yes' })), 'binary must be true or false');
+  assert.match(errorFor(scenario({ transfer: { ratePerMyr: 0.01, mode: 'magic', lossFraction: 0.5 } })), /^transfer\.mode must be one of/);
+  assert.equal(errorFor(scenario({ planets: [{ name: 'Close', host: 'primary', orbitAU: 0.005, albedo: 0.3 }] })),
+    'planets[0].orbitAU must be a number from 0.01 to 1000');
+  const crowded = Array.from({ length: 21 }, (_, i) => ({ name: `P${i}`, host: 'primary', orbitAU: 1 + i, albedo: 0.3 }));
+  assert.equal(errorFor(scenario({ planets: crowded })), 'At most 20 planets are allowed');
+  assert.equal(errorFor(scenario({ binary: false, planets: [{ name: 'B', host: 'secondary', orbitAU: 1, albedo: 0.3 }] })),
+    'Planets can orbit the secondary only in a binary');
+});
+
+test('a version 1 scenario is upgraded with stars that formed together', () => {
+  const { formation, ...rest } = scenario();
+  const { scenario: upgraded, error } = validateScenario({ ...rest, version: 1 });
+  assert.equal(error, null);
+  assert.equal(upgraded.version, SCENARIO_VERSION);
+  assert.deepEqual(upgraded.formation, { delayPrimaryYears: 0, delaySecondaryYears: 0 });
+});
@@ -0,0 +1,161 @@
+// Smoke tests for the DOM-free physics core: node --test (or npm test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation, MYR, Z_SUN, fateZones, msLifetimeYears, stageForStar, starParams } from '../simulation.js';
+import { createHistory } from '../history.js';
+import { BUILT_IN_PRESETS } from '../presets.js';
+
+// Run a system to the end and sum up where it ended
+function outcome(options, dtYears) {
+  const sim = new Simulation(options);
+  const events = [];
+  sim.subscribe((event) => { if (event.type !== 'step') events.push(event.type); });
+  sim.runToEnd(dtYears);
+  return {
+    t: sim.t,
+    separationAU: sim.separationAU,
+    merged: sim.merged,
+    unbound: sim.unbound,
+    stars: [sim.star1, sim.star2].map(({ fate, massCurrent, ended }) => ({ fate, massCurrent, ended })),
+    events,
+  };
+}
+
+test('the same settings evolve to the same outcome', () => {
+  const options = { massPrimary: 12, massSecondary: 8, binary: true, separationAU: 2, seed: 7 };
+  assert.deepEqual(outcome(options, 0.1 * MYR), outcome(options, 0.1 * MYR));
+});
+
+test('a Sun-like star ends as a white dwarf', () => {
+  const { stars } = outcome({ massPrimary: 1 }, 10 * MYR);
+  assert.equal(stars[0].fate, 'White Dwarf');
+  assert.ok(stars[0].ended);
+});
+
+test('a brown dwarf has parameters at the end of its timeline', () => {
+  const sim = new Simulation({ massPrimary: 0.05 });
+  createHistory({ sim }).seek(sim.star1.tTotal / 2, 10 * MYR);
+  // Projected ahead, as the Roche-contact search does, and after it has ended
+  assert.ok(Number.isFinite(starParams({ ...sim.star1, age: sim.star1.tTotal }).L));
+  createHistory({ sim }).seek(sim.star1.tTotal, 10 * MYR);
+  assert.ok(sim.star1.ended);
+  assert.ok(Number.isFinite(starParams(sim.star1).L));
+});
+
+test('a binary with a brown dwarf steps to the end of its timeline', () => {
+  const sim = new Simulation({ massPrimary: 1, massSecondary: 0.03, binary: true, separationAU: 5 });
+  sim.runToEnd(10 * MYR);
+  assert.equal(sim.star2.fate, 'Brown Dwarf');
+  assert.equal(sim.star1.fate, 'White Dwarf');
+});
+
+test('the Binary RLOF preset transfers mass stably before its common envelope', () => {
+  const { settings } = BUILT_IN_PRESETS.find(p => p.id === 'binary-rlof');
+  const sim = new Simulation({
+    massPrimary: settings.masses.primary,
+    massSecondary: settings.masses.secondary,
+    binary: true,
+    separationAU: settings.orbit.separationAU,
+    transferRatePerYear: settings.transfer.ratePerMyr / MYR,
+  });
+  let transferred = 0;
+  let transferredBeforeEnvelope = null;
+  sim.subscribe((event) => {
+    if (event.type === 'transfer') transferred += event.dm;
+    if (event.type === 'common-envelope' && transferredBeforeEnvelope === null) transferredBeforeEnvelope = transferred;
+  });
+  sim.runToEnd(5 * MYR);
+  assert.ok(transferredBeforeEnvelope > 0.01);
+});
+
+test('a companion switched on mid-run follows the system clock', () => {
+  const sim = new Simulation({ massPrimary: 1, massSecondary: 0.8, separationAU: 5 });
+  const history = createHistory({ sim });
+  history.seek(5000 * MYR, 10 * MYR);
+  sim.setBinary(true);
+  assert.equal(sim.star2.bornAt, sim.t);
+  history.seek(6000 * MYR, 10 * MYR);
+  for (const star of [sim.star1, sim.star2]) assert.ok(Math.abs(sim.t - star.bornAt - star.age) < 1);
+  assert.ok(Math.abs(sim.star2.age - 1000 * MYR) < 1);
+});
+
+test('the Cygnus X-1 preset shows a black hole with a blue supergiant', () => {
+  const { settings } = BUILT_IN_PRESETS.find(p => p.id === 'cygnus-x-1');
+  const sim = new Simulation({
+    massPrimary: settings.masses.primary,
+    massSecondary: settings.masses.secondary,
+    binary: true,
+    separationAU: settings.orbit.separationAU,
+  });
+  createHistory({ sim }).seek(settings.time.ageYears, sim.lifetimeYears / 3600);
+  assert.equal(sim.star1.fate, 'Black Hole');
+  assert.equal(stageForStar(sim.star2), 'Blue Supergiant');
+});
+
+// Regression values: a change to any of these is a change to the physics, made on purpose
+const close = (actual, expected, relative = 1e-3) => assert.ok(
+  Math.abs(actual - expected) <= relative * Math.abs(expected),
+  `${actual} is not within ${relative * 100}% of ${expected}`,
+);
+
+test('main-sequence and total lifetimes', () => {
+  close(msLifetimeYears(1), 1e10);
+  close(msLifetimeYears(2), 1.7678e9);
+  close(msLifetimeYears(10), 3.1623e7);
+  close(msLifetimeYears(100), 4e5);
+  const totals = [1, 5, 20].map(massPrimary => new Simulation({ massPrimary }).star1.tTotal);
+  close(totals[0], 1.1095e10);
+  close(totals[1], 1.9841e8);
+  close(totals[2], 6.2051e6);
+});
+
+test('fate thresholds at solar metallicity', () => {
+  const zones = fateZones(Z_SUN);
+  assert.deepEqual(zones.map(z => z.endState), ['bd', 'wd', 'ns', 'bh', 'dc']);
+  close(zones[1].from, 0.075);
+  close(zones[2].from, 8);
+  close(zones[3].from, 20.19);
+  close(zones[4].from, 24.88);
+  const fates = [0.05, 0.5, 7, 9, 15, 30].map((massPrimary) => {
+    const sim = new Simulation({ massPrimary });
+    sim.runToEnd(massPrimary < 1 ? 1000 * MYR : MYR);
+    return sim.star1.fate;
+  });
+  assert.deepEqual(fates, ['Brown Dwarf', 'White Dwarf', 'White Dwarf', 'Neutron Star', 'Neutron Star', 'Black Hole']);
+});
+
+// Stable transfer from a subgiant donor, up to the common envelope that ends it
+function transferUntilEnvelope(transferMode) {
+  const sim = new Simulation({
+    massPrimary: 1.2, massSecondary: 0.8, binary: true, separationAU: 0.02, transferMode, transferRatePerYear: 0.02 / MYR,
+  });
+  let transferred = 0;
+  let lost = 0;
+  let atEnvelope = null;
+  sim.subscribe((event) => {
+    if (event.type === 'transfer') { transferred += event.dm; lost += event.lost; }
+    if (event.type === 'common-envelope' && !atEnvelope) {
+      atEnvelope = { donor: event.donor.massCurrent, accretor: event.accretor.massCurrent, separationAU: event.separationBefore };
+    }
+  });
+  while (!atEnvelope) sim.step(sim.nextStepYears(5 * MYR));
+  return { transferred, lost, ...atEnvelope };
+}
+
+test('conservative and non-conservative mass transfer', () => {
+  const conservative = transferUntilEnvelope('conservative');
+  close(conservative.transferred, 0.05295);
+  assert.equal(conservative.lost, 0);
+  close(conservative.donor, 0.96858);
+  close(conservative.accretor, 0.85293);
+  close(conservative.separationAU, 0.021340);
+
+  const isotropic = transferUntilEnvelope('isotropic');
+  close(isotropic.lost, isotropic.transferred / 2);
+  close(isotropic.donor, 0.97429);
+  close(isotropic.accretor, 0.82473);
+  close(isotropic.separationAU, 0.021592);
+  // Mass carried out of the binary widens the orbit more than the same mass kept
+  assert.ok(isotropic.separationAU > conservative.separationAU);
+});
@@ -0,0 +1,54 @@
+// Accreting white dwarfs: nova flashes below the steady-burning rates, a Type Ia supernova at
+// the Chandrasekhar mass
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHANDRASEKHAR_MASS, Simulation, MYR, novaIgnitionMass, steadyBurningRates } from '../simulation.js';
+
+// A 5 + 2 M☉ pair 5 AU apart, stepped until the primary has become a white dwarf
+function whiteDwarfBinary() {
+  const sim = new Simulation({ massPrimary: 5, massSecondary: 2, binary: true, separationAU: 5 });
+  const events = [];
+  sim.subscribe((event) => { if (event.type === 'nova' || event.type === 'type-ia') events.push(event); });
+  while (!sim.star1.ended) sim.step(sim.nextStepYears(MYR));
+  assert.equal(sim.star1.fate, 'White Dwarf');
+  return { sim, wd: sim.star1, events };
+}
+
+// Feed the white dwarf at mdot (M☉/yr) for dtYears
+function accrete(sim, wd, mdot, dtYears) {
+  wd.massCurrent += mdot * dtYears;
+  sim.accreteOntoRemnant(wd, mdot * dtYears, dtYears);
+}
+
+test('slow accretion ignites nova flashes that eject the accreted layer', () => {
+  const { sim, wd, events } = whiteDwarfBinary();
+  const mWD = wd.massCurrent;
+  const mdot = 1e-10;
+  assert.ok(mdot < steadyBurningRates(mWD).low);
+  const ignition = novaIgnitionMass(mWD, mdot);
+  accrete(sim, wd, mdot, 10.5 * ignition / mdot);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'nova');
+  assert.equal(events[0].count, 10);
+  assert.ok(Math.abs(events[0].recurrenceYears - ignition / mdot) < 1e-6 * ignition / mdot);
+  assert.equal(wd.novae, 10);
+  // What the flashes did not throw off stays, plus the layer still building up
+  assert.ok(wd.hydrogenShell < ignition);
+  assert.ok(Math.abs(wd.massCurrent - (mWD + 10.5 * ignition - events[0].ejectaMass)) < 1e-12);
+  assert.ok(events[0].ejectaMass > 0 && events[0].ejectaMass < 10 * ignition);
+});
+
+test('steady burning grows the white dwarf to a Type Ia supernova', () => {
+  const { sim, wd, events } = whiteDwarfBinary();
+  while (!events.length) {
+    const { low, high } = steadyBurningRates(wd.massCurrent);
+    accrete(sim, wd, (low + high) / 2, 1e4);
+  }
+  assert.deepEqual(events.map(e => [e.type, e.which]), [['type-ia', 'primary']]);
+  assert.ok(events[0].ejectaMass >= CHANDRASEKHAR_MASS);
+  assert.equal(wd.fate, 'No Remnant');
+  assert.equal(wd.massCurrent, 0);
+  assert.equal(sim.unbound, true);
+  assert.ok(sim.ejecta.some(e => e.kind === 'supernova-remnant' && e.star === wd));
+});